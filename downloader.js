@@ -1,500 +1,198 @@
 // downloader.js
-// Use puppeteer-extra to make the browser automation less detectable
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-const inquirer = require('inquirer');
+// Command line entry point. Without a subcommand the interactive menu starts, as before.
 const path = require('path');
-const fs = require('fs');
-const cliProgress = require('cli-progress');
-
-// A helper function to create a styled progress bar
-const createProgressBar = () => new cliProgress.SingleBar({
-    format: '{step} | {bar} | {value}/{total} Tracks',
-}, cliProgress.Presets.shades_classic);
-
-// Apply the stealth plugin
-puppeteer.use(StealthPlugin());
-
-// --- Configuration Management ---
-const configPath = path.resolve(__dirname, 'config.json');
+const { Command, Option, InvalidArgumentError } = require('commander');
+const { EXIT_CODES } = require('./lib/errors');
+const { DEFAULT_DOWNLOAD_DIR, DEFAULT_PROFILE_DIR } = require('./lib/site');
+const { DEFAULT_QUEUE_PATH } = require('./lib/queue');
+const { DEFAULT_RATE_LIMIT } = require('./lib/ratelimit');
+const { runInteractive } = require('./lib/interactive');
+const { listCommand, downloadCommand, syncCommand, watchCommand, serveCommand, projectCommand, verifyCommand, doctorCommand, writeJson } = require('./lib/commands');
+const { DEFAULT_WATCH_STATE_PATH } = require('./lib/watch');
+const { DEFAULT_HOST, DEFAULT_PORT } = require('./lib/server');
+const { LOG_LEVELS, LOG_FORMATS, configureLogger, log } = require('./lib/logger');
+const { DEFAULT_DEBUG_DIR, enableDebug } = require('./lib/debug');
+const { loadConfig } = require('./lib/config');
+const { DEFAULT_TEMPLATE, DEFAULT_MIX_TEMPLATE } = require('./lib/naming');
+
+const program = new Command();
+
+program
+    .name('kv-downloader')
+    .description('Download the individual tracks of your purchased songs from karaoke-version.com.')
+    .option('--visible', 'show the browser window instead of running headless')
+    .option('--json', 'print machine-readable JSON on stdout (logs go to stderr)')
+    .option('-o, --output <dir>', 'folder to save songs into (default: "output" in config.json, or downloads)')
+    .option('--credentials-file <path>', 'read the email and password from this JSON file')
+    .option('--profile-dir <dir>', 'browser profile that keeps the login session between runs', DEFAULT_PROFILE_DIR)
+    .option('--no-profile', 'do not keep the login session, log in on every run')
+    .addOption(new Option('--log-level <level>', 'only log messages of this level and above (default: info)')
+        .choices(Object.keys(LOG_LEVELS)))
+    .addOption(new Option('--log-format <format>', 'log as readable text or as JSON lines on stderr')
+        .choices(LOG_FORMATS)
+        .default('text'))
+    .option('--debug', 'log everything and save a screenshot, the page HTML, the browser console and the network log when something fails')
+    .option('--debug-dir <dir>', 'folder the --debug captures are saved into', DEFAULT_DEBUG_DIR)
+    .allowExcessArguments(false)
+    // --help and --version exit cleanly; anything else commander rejects is a usage error.
+    .exitOverride(error => process.exit(error.exitCode === 0 ? EXIT_CODES.OK : EXIT_CODES.USAGE))
+    .action(options => runInteractive(options));
+
+program
+    .command('list')
+    .description('list your purchased songs')
+    .action(async (options, command) => {
+        process.exitCode = await listCommand(command.optsWithGlobals());
+    });
 
-function loadConfig() {
-    if (fs.existsSync(configPath)) {
-        try {
-            const rawData = fs.readFileSync(configPath, 'utf-8');
-            return JSON.parse(rawData);
-        } catch (error) {
-            console.warn('⚠️  Could not read or parse config.json, starting fresh.');
-            return {};
+// Parses an option that takes a whole number, at least `min`.
+function integerAtLeast(min) {
+    return value => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min) {
+            throw new InvalidArgumentError(`Expected a whole number of at least ${min}.`);
         }
-    }
-    return {};
-}
-
-function saveConfig(data) {
-    try {
-        fs.writeFileSync(configPath, JSON.stringify(data, null, 2), 'utf-8');
-    } catch (error) {
-        console.error('❌ Could not save to config.json:', error);
-    }
-}
-
-async function navigateToSongPage(page, songUrl) {
-    console.log('\nNavigating directly to song page...');
-    await page.goto(songUrl, { waitUntil: 'networkidle2' });
-    console.log('✅ Arrived at song page.');
+        return number;
+    };
 }
 
-async function handleCookieConsent(page) {
-    // Websites often have a cookie consent banner that can block other elements.
-    // We'll try to click the "I agree" button if it appears.
-    try {
-        const cookieButtonSelector = '#didomi-notice-agree-button';
-        await page.waitForSelector(cookieButtonSelector, { timeout: 5000 }); // Wait up to 5s
-        await page.click(cookieButtonSelector);
-        console.log('✓ Accepted cookie policy.');
-        await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 5000 }).catch(() => {}); // Catch timeout if no navigation
-    } catch (e) {
-        // If the button isn't found after 5s, we assume it's not there.
-        console.log('✓ Cookie banner not found or already handled, proceeding...');
-    }
-}
-
-async function processSong(page, songUrl, enableClickTrack) {
-    let success = false;
-    let cleanSongTitle = songUrl; // Default to URL if title can't be fetched
-    try {
-        await navigateToSongPage(page, songUrl);
-        await handleCookieConsent(page);
-
-        const songPageTitle = await page.title();
-        cleanSongTitle = songPageTitle.split('|')[0].trim();
-        
-        // Get song title to create a directory
-        const songTitle = await page.title();
-        const safeSongTitle = songTitle.split('|')[0].trim().replace(/[^a-z0-9\s-]/gi, '_');
-        const baseDownloadPath = path.resolve(__dirname, 'downloads');
-        const downloadPath = path.resolve(baseDownloadPath, safeSongTitle);
-        if (!fs.existsSync(downloadPath)) {
-            fs.mkdirSync(downloadPath, { recursive: true });
-        }
-        
-        // Set Puppeteer to download files to our new directory
-        const client = await page.target().createCDPSession();
-        await client.send('Page.setDownloadBehavior', {
-            behavior: 'allow',
-            downloadPath: downloadPath,
-        });
-
-        // The mixer is in the main page, not an iframe. Wait for it to appear.
-        console.log('\nWaiting for the dynamic mixer to load...');
-        await page.waitForSelector('#html-mixer', { timeout: 60000 });
-        console.log('✓ Mixer has loaded.');
-
-        // Ensure "Click track" is checked, as you requested
-        // Corrected selector based on Python script and error_page.html
-        const clickTrackSelector = '#precount';
-        await page.waitForSelector(clickTrackSelector, { timeout: 5000 });
-        const isChecked = await page.$eval(clickTrackSelector, el => el.checked);
-
-        if (enableClickTrack && !isChecked) {
-            await page.click(clickTrackSelector);
-            console.log("✓ Enabled 'Intro Click' track.");
-        } else if (!enableClickTrack && isChecked) {
-            await page.click(clickTrackSelector);
-            console.log("✓ Disabled 'Intro Click' track.");
-        } else {
-            console.log(`✓ 'Intro Click' track is already set to: ${isChecked ? 'Enabled' : 'Disabled'}.`);
-        }
-
-        // --- VERIFY SONG IS PURCHASED ---
-        // Check for the download button. If it's an "Add to Cart" button, the song isn't owned.
-        const downloadButtonSelector = 'a.download';
-        const downloadButton = await page.$(downloadButtonSelector);
-        const buttonText = downloadButton ? await page.evaluate(el => el.textContent.trim(), downloadButton) : '';
-
-        if (!downloadButton || !buttonText.toLowerCase().includes('download')) {
-            console.log('\n⚠️  This song has not been purchased (the "Download" button was not found).');
-            return false; // Gracefully exit this song's processing
-        }
-
-        // Find all the tracks in the mixer. We will handle the "Intro count" track during the download loop.
-        const tracks = await page.$$('#html-mixer .track');
-        console.log(`Found ${tracks.length} tracks to download.`);
-
-        const downloadProgressBar = createProgressBar();
-        downloadProgressBar.start(tracks.length, 0, { step: `Downloading "${cleanSongTitle}"` });
-
-        await downloadAllTracks(page, tracks, downloadPath, downloadProgressBar);
-
-        downloadProgressBar.stop();
-
-        success = true;
-    } catch (error) {
-        console.error(`\nAn error occurred while processing ${songUrl}:`, error);
-    }
-    return { success, songTitle: cleanSongTitle };
+// Options shared by the commands that download songs.
+function addDownloadOptions(command) {
+    return command
+        .option('--click', "enable the 'Intro Click' track")
+        .option('--no-click', "disable the 'Intro Click' track")
+        .option('--mix <spec>', 'also download a custom mix, e.g. "Backing=-Lead Vocal,-Guitar" or a preset name (repeatable)',
+            (spec, specs) => [...specs, spec], [])
+        .option('--no-stems', 'only download the mixes, not every track on its own')
+        .option('--key <semitones>', 'transpose by this many semitones, e.g. -2')
+        .option('--tempo <percent>', 'change the tempo to this percentage, e.g. 90')
+        .option('--variant <spec>', 'also download a key/tempo variant, e.g. -2st, 90pct or -2st_90pct (repeatable)',
+            (spec, specs) => [...specs, spec], [])
+        .option('--template <template>', `where each track is saved in the output folder (default: "${DEFAULT_TEMPLATE}")`)
+        .option('--mix-template <template>', `the file name of each mix in the song folder (default: "${DEFAULT_MIX_TEMPLATE}")`)
+        .option('--project <formats>', 'write DAW project files next to the stems: reaper, audacity or reaper,audacity')
+        .option('--retries <n>', 'how many more times a failed page load or track download is attempted (default: 2)',
+            integerAtLeast(0))
+        .option('--retry-delay <ms>', 'wait this long before the first retry, doubling every time (default: 2000)', integerAtLeast(0))
+        .addOption(new Option('--on-timeout <action>', 'what to do when a track download fails: retry it, skip it right away, or retry it and stop the run if it still fails')
+            .choices(['retry', 'skip', 'fail'])
+            .default('retry'))
+        .option('--concurrency <n>', 'download this many songs at once, each in its own tab (default: 1)', integerAtLeast(1))
+        .option('--rate-limit <n>',
+            `at most this many page loads and downloads per minute, across all tabs; 0: no limit (default: ${DEFAULT_RATE_LIMIT})`,
+            integerAtLeast(0))
+        .option('--report <path>', 'where the failure report is saved (default: failure-report.json in the output folder)');
 }
 
-async function fetchPurchasedSongs(page) {
-    console.log('\nFetching your purchased songs...');
-    await page.goto('https://www.karaoke-version.com/my/download.html', { waitUntil: 'networkidle2' });
-    console.log(`Navigated to: ${page.url()}`); // Log the current URL
-
-    // Updated selector based on the HTML structure of the "My Downloads" page
-    const songListSelector = 'td.my-downloaded-files__song';
-    console.log(`Waiting for selector: "${songListSelector}" with timeout 30000ms...`);
-    await page.waitForSelector(songListSelector, { timeout: 30000 }); // Increased timeout for debugging
-    console.log(`Selector "${songListSelector}" found!`);
-
-    const collectedSongs = []; // This will store all songs, including potential duplicates
-    const collectedSongUrls = new Set(); // This will track unique song URLs to detect the end of pagination
-    let pageNumber = 1; // Start page number at 1
-
-    // Loop to handle multiple pages of downloads
-    while (true) {
-        // Scrape songs currently visible on the page
-        // Get the URL of the first song on the current page to detect content change later
-        const firstSongOnPageHref = await page.$eval(songListSelector, el => el.querySelector('a')?.href).catch(() => null);
-
-        const songsOnPage = await page.$$eval(songListSelector, lines =>
-            lines.map(line => { // Map each song element to its data
-                const anchor = line.querySelector('a');
-                if (!anchor) return null;
-                const name = anchor.textContent.trim();
-                // Return an object with a unique key (href) to help with deduplication later
-                return { name, value: anchor.href, key: anchor.href };
-            }).filter(Boolean)
-        );
-
-        const initialUniqueCount = collectedSongUrls.size;
-
-        // Add the songs from the current page to our master list
-        collectedSongs.push(...songsOnPage);
-        // Also add their URLs to our Set for quick uniqueness checks
-        songsOnPage.forEach(song => collectedSongUrls.add(song.value));
-
-        const newUniqueCount = collectedSongUrls.size - initialUniqueCount;
-
-        console.log(`Scraped ${songsOnPage.length} songs from page ${pageNumber}. Found ${newUniqueCount} new unique songs. Total unique: ${collectedSongUrls.size}`);
-
-        // If we are on page 2 or later and we didn't find any new unique songs, we are done.
-        if (pageNumber > 1 && newUniqueCount === 0) {
-            console.log('No new unique songs found on this page. Assuming all pages have been scraped.');
-            break;
-        }
-
-        // Look for a "next" page link. The `rel="next"` attribute is a reliable selector.
-        const nextButtonSelector = 'a[rel="next"]';
-        const nextButton = await page.$(nextButtonSelector);
-
-        if (nextButton) {
-            pageNumber++;
-            console.log(`Found "next" page link. Navigating to page ${pageNumber}...`);
-
-            try {
-                // Scroll the 'next' button into view to ensure it's clickable, a common headless mode fix.
-                await page.evaluate(el => el.scrollIntoView({ block: 'center' }), nextButton);
-                await new Promise(resolve => setTimeout(resolve, 250)); // Brief pause after scroll
-
-                // Click the button to trigger the page change.
-                await nextButton.click();
-
-                // Wait for the content to actually change by checking if the first song's URL is different.
-                // This is more reliable than waitForNavigation for pages that load content with JavaScript.
-                await page.waitForFunction(
-                    (selector, previousHref) => {
-                        const currentFirstSong = document.querySelector(selector);
-                        const currentFirstSongHref = currentFirstSong ? currentFirstSong.querySelector('a')?.href : null;
-                        // Return true when the new content has loaded and the URL is different.
-                        return currentFirstSongHref !== previousHref;
-                    },
-                    { timeout: 20000 }, // Increased timeout for headless mode
-                    songListSelector,
-                    firstSongOnPageHref
-                );
-            } catch (e) {
-                console.log(`Pagination failed while navigating to page ${pageNumber}. Assuming it's the last page. Error: ${e.message}`);
-                break;
-            }
-        } else {
-            console.log('No "next" page link found. Assuming all pages have been scraped.');
-            break; // Exit the loop if there's no next page
-        }
-    }
-
-    // Now that we have all songs (including duplicates), create a unique list
-    const uniqueSongs = Array.from(new Map(collectedSongs.map(song => [song.key, song])).values());
+addDownloadOptions(program
+    .command('download')
+    .description('download the tracks of one or more songs')
+    .argument('[urls...]', 'song page URLs')
+    .option('--all', 'download every purchased song')
+    .option('-f, --from-file <path>', 'read song URLs from a text file (one per line) or a CSV file')
+    .option('--resume', 'continue the queue of an interrupted run')
+    .option('--state-file <path>', 'where the queue state is saved', DEFAULT_QUEUE_PATH))
+    .action(async (urls, options, command) => {
+        process.exitCode = await downloadCommand(urls, command.optsWithGlobals());
+    });
 
-    // Sort songs alphabetically by name for a clean presentation in the menu
-    uniqueSongs.sort((a, b) => a.name.localeCompare(b.name));
+addDownloadOptions(program
+    .command('sync')
+    .description('download the purchased songs and tracks that are missing from the output folder')
+    .option('--dry-run', 'only report what is missing')
+    .option('--state-file <path>', 'where the queue state is saved', DEFAULT_QUEUE_PATH))
+    .action(async (options, command) => {
+        process.exitCode = await syncCommand(command.optsWithGlobals());
+    });
 
-    console.log(`✓ Found ${uniqueSongs.length} unique purchased songs.`);
-    return uniqueSongs;
-}
+addDownloadOptions(program
+    .command('watch')
+    .description('keep running, download new purchases as they appear and report each song to a webhook or a command')
+    .option('--interval <minutes>', 'how often to check for new songs (default: "watchInterval" in config.json, or 60)', integerAtLeast(1))
+    .option('--webhook <url>', 'POST a JSON notification to this URL for every finished song')
+    .option('--hook <command>', 'run this shell command for every finished song, with the notification as JSON on stdin')
+    .option('--watch-state <path>', 'where the songs seen so far are kept', DEFAULT_WATCH_STATE_PATH)
+    .option('--include-existing', 'on the first check, also download the songs purchased before')
+    .option('--once', 'check a single time and exit, e.g. from a scheduled job'))
+    .action(async (options, command) => {
+        process.exitCode = await watchCommand(command.optsWithGlobals());
+    });
 
-async function main(args) {
-    console.log('🎤 Karaoke Track Downloader 🎤\n');
+program
+    .command('serve')
+    .description('open a web dashboard to browse your songs and start downloads from a browser')
+    .option('--port <n>', 'the port the dashboard listens on', integerAtLeast(0), DEFAULT_PORT)
+    .option('--host <address>', 'the address the dashboard listens on; 0.0.0.0 shares it on your network', DEFAULT_HOST)
+    .action(async (options, command) => {
+        process.exitCode = await serveCommand(command.optsWithGlobals());
+    });
 
-    const config = loadConfig();
+program
+    .command('project')
+    .description('write DAW project files for song folders that were already downloaded')
+    .argument('<folders...>', 'song folders')
+    .option('--format <formats>', 'project formats: reaper, audacity or reaper,audacity', 'reaper,audacity')
+    .action(async (folders, options, command) => {
+        process.exitCode = await projectCommand(folders, command.optsWithGlobals());
+    });
 
-    const answers = await inquirer.prompt([
-        {
-            type: 'input',
-            name: 'email',
-            message: 'Enter your Karaoke-Version email:',
-            default: config.email,
-        },
-        {
-            type: 'password',
-            name: 'password',
-            message: 'Enter your password:',
-            mask: '*',
-            default: config.password,
-        },
-    ]);
+program
+    .command('verify')
+    .description('check that the downloaded MP3 files are whole: valid frames, a real size and the same length as the other tracks')
+    .argument('[folders...]', 'song folders (default: every song in the output folder)')
+    .option('--fix', 'remove the damaged files, so that sync downloads them again')
+    .action(async (folders, options, command) => {
+        process.exitCode = await verifyCommand(folders, command.optsWithGlobals());
+    });
 
-    const { email, password } = answers;
+program
+    .command('doctor')
+    .description('check that the site still has the elements this tool looks for (see "selectors" in config.json)')
+    .option('--song <url>', 'song page to check (default: the first purchased song)')
+    .option('--save <dir>', 'also save the checked pages into this folder, to check them offline later')
+    .option('--fixtures <dir>', 'check saved pages (login.html, downloads.html, song.html) instead of the live site')
+    .action(async (options, command) => {
+        process.exitCode = await doctorCommand(command.optsWithGlobals());
+    });
 
-    if (!email || !password) {
-        console.error('Email and password are required. Exiting.');
-        return;
+program.addHelpText('after', `
+Credentials are read from the KV_EMAIL and KV_PASSWORD environment variables,
+then from --credentials-file (or KV_CREDENTIALS_FILE), then from the encrypted
+credentials.json saved by the interactive mode, unlocked with KV_PASSPHRASE.
+
+Exit codes:
+  ${EXIT_CODES.OK}  success
+  ${EXIT_CODES.ERROR}  unexpected error
+  ${EXIT_CODES.USAGE}  invalid arguments
+  ${EXIT_CODES.AUTH}  missing credentials
+  ${EXIT_CODES.INCOMPLETE}  some songs or tracks were not downloaded (doctor: some selectors no longer match,
+     verify: some files are damaged)`);
+
+// Sets the logging and --debug options up before any command runs.
+program.hook('preAction', (thisCommand, actionCommand) => {
+    const options = actionCommand.optsWithGlobals();
+    // The output folder can be saved in config.json; --output overrides it for one run.
+    if (!options.output) program.setOptionValueWithSource('output', path.resolve(loadConfig().output || DEFAULT_DOWNLOAD_DIR), 'config');
+    configureLogger({ level: options.logLevel || (options.debug ? 'debug' : 'info'), format: options.logFormat });
+    if (options.debug) enableDebug(options.debugDir);
+});
+
+async function main(argv) {
+    // In JSON mode stdout is reserved for the result, so route the progress logs to stderr.
+    if (argv.includes('--json')) {
+        configureLogger({ stdout: process.stderr });
     }
 
-    const browser = await puppeteer.launch({
-        // Run headless by default. If '--visible' flag is passed, show the browser.
-        headless: !args.includes('--visible') ? 'new' : false,
-        // Ensure consistent viewport size in both headless and headful modes
-        defaultViewport: { width: 1280, height: 1024 },
-        args: ['--disable-infobars'],
-    });
-    const page = await browser.newPage();
-
     try {
-        // --- LOGIN ---
-        console.log('Logging in...');
-
-        await page.goto('https://www.karaoke-version.com/my/login.html', { waitUntil: 'networkidle2' });
-        console.log('On login page...');
-
-        // Use selectors from your JSON file
-        await page.type('#frm_login', email);
-        console.log('Typed email...');
-        
-        await page.type('#frm_password', password);
-        console.log('Typed password...');
-
-        await Promise.all([
-            page.waitForNavigation({ waitUntil: 'networkidle2' }),
-            page.click('#sbm'),
-        ]);
-        console.log('Login successful!');
-
-        // Fetch the list of purchased songs once after logging in
-        let purchasedSongs = await fetchPurchasedSongs(page);
-
-        // --- Main Application Loop ---
-        while (true) {
-            console.log('\n' + '-'.repeat(50));
-
-            const songChoices = purchasedSongs.map(song => ({ name: song.name, value: song.value }));
-
-            const menuChoices = [
-                new inquirer.Separator('--- Select a Song to Download ---'),
-                ...songChoices,
-                new inquirer.Separator('---------------------------------'),
-                { name: 'Refresh song list', value: 'refresh' },
-                { name: 'Enter a song URL manually', value: 'manual' },
-                { name: 'Exit', value: 'exit' },
-            ];
-
-            const { action } = await inquirer.prompt({
-                type: 'list',
-                name: 'action',
-                message: 'What would you like to do?',
-                choices: menuChoices,
-                pageSize: 15, // Show more items in the list
-            });
-
-            if (action === 'exit') {
-                console.log('Exiting...');
-                break;
-            }
-
-            if (action === 'refresh') {
-                purchasedSongs = await fetchPurchasedSongs(page);
-                continue; // Go back to the main menu
-            }
-
-            let songUrl;
-            if (action === 'manual') {
-                const { newUrl } = await inquirer.prompt({
-                    type: 'input',
-                    name: 'newUrl',
-                    message: 'Enter the song URL:',
-                });
-                songUrl = newUrl;
-            } else {
-                songUrl = action; // The 'value' of the song choice is its URL
-            }
-
-            if (!songUrl) {
-                console.log('No URL provided. Please try again.');
-                continue; // Go back to the main menu
-            }
-
-            const { enableClickTrack } = await inquirer.prompt([
-                {
-                    type: 'confirm',
-                    name: 'enableClickTrack',
-                    message: "Enable 'Intro Click'?",
-                    default: config.enableClickTrack !== false,
-                },
-            ]);
-
-            // Save config for the next run
-            saveConfig({ email, password, songUrl, enableClickTrack });
-
-            const { success, songTitle } = await processSong(page, songUrl, enableClickTrack);
-            if (success) {
-                console.log(`\n✅ Successfully downloaded all tracks for: "${songTitle}"`);
-            } else {
-                console.log(`\n❌ Finished processing "${songTitle}" with issues (see logs above). Ready for next song.`);
-            }
-        }
+        await program.parseAsync(argv);
     } catch (error) {
-        console.error('\nAn unrecoverable error occurred:', error);
-    } finally {
-        await browser.close();
-        console.log('\n👋 Session ended. Goodbye!');
-    }
-}
-
-async function downloadAllTracks(page, tracks, downloadPath, progressBar) {
-    // Centralize the download timeout for easier configuration.
-    const DOWNLOAD_TIMEOUT_MS = 180000; // 3 minutes
-
-    for (let i = 0; i < tracks.length; i++) {
-        let downloadSuccessful = false;
-        let userSkipped = false;
-
-        while (!downloadSuccessful && !userSkipped) {
-            // Re-fetch the track element inside the loop to prevent "stale element" errors
-            const track = (await page.$$('#html-mixer .track'))[i];
-
-            // Get the track name for the file
-            const trackNameElement = await track.$('.track__caption');
-            const trackName = await page.evaluate(el => el.textContent.trim(), trackNameElement);
-
-            // Determine the final filename to check if it already exists before proceeding
-            const safeTrackName = trackName.replace(/[^a-z0-9\s-]/gi, '_').replace(/\s+/g, ' ');
-            const trackNumber = String(i + 1).padStart(2, '0');
-            const finalFileName = `${trackNumber} - ${safeTrackName}.mp3`;
-            const finalFilePath = path.join(downloadPath, finalFileName);
-
-            // If the file already exists, skip the download process for this track
-            if (fs.existsSync(finalFilePath)) {
-                progressBar.update({ step: `Skipping "${finalFileName}" (already exists)` });
-                downloadSuccessful = true; // Mark as successful to exit the retry loop
-                continue; // Move to the next track in the outer loop
-            }
-
-            // Click the 'Solo' button for the current track to isolate it for download.
-            const soloButton = await track.$('button.track__solo');
-            if (soloButton) {
-                // Scroll the button into view and wait a moment to ensure it's clickable
-                await page.evaluate(el => {
-                    el.scrollIntoView({ block: 'center', inline: 'center' });
-                }, soloButton);
-                await new Promise(resolve => setTimeout(resolve, 250)); // Brief pause after scroll
-                await soloButton.click(); // Enable solo
-            } else {
-                console.warn(`Could not find a solo button for track "${trackName}".`);
-            }
-            // Wait a moment for the mix to update
-            await new Promise(resolve => setTimeout(resolve, 1000));
-
-            // Click the main download button
-            const downloadButtonSelector = 'a.download';
-            await page.waitForSelector(downloadButtonSelector, { timeout: 10000 });
-            await page.click(downloadButtonSelector);
-            
-            // --- Wait for download to complete and rename the file ---
-            const filesBefore = new Set(fs.readdirSync(downloadPath));
-            const startTime = Date.now();
-            let newFilePath = null;
-            
-            // Poll for the new file to appear in the download directory.
-            while (Date.now() - startTime < DOWNLOAD_TIMEOUT_MS) {
-                const currentFiles = fs.readdirSync(downloadPath);
-                const newFile = currentFiles.find(file => !filesBefore.has(file) && !file.endsWith('.crdownload'));
-                if (newFile) {
-                    newFilePath = path.join(downloadPath, newFile);
-                    await new Promise(resolve => setTimeout(resolve, 1000)); // Wait a moment to ensure the file is fully written
-                    break;
-                }
-                await new Promise(resolve => setTimeout(resolve, 500)); // Check every half-second
-            }
-
-            if (newFilePath) {
-                // Update the progress bar to show the final filename being created
-                progressBar.update({ step: `Creating "${finalFileName}"` });
-                fs.renameSync(newFilePath, finalFilePath);
-                downloadSuccessful = true;
-            } else {
-                // --- DOWNLOAD FAILED ---
-                progressBar.stop(); // Pause the progress bar for the prompt
-                console.warn(`\n\n⚠️  Download for "${trackName}" timed out.`);
-
-                // Clean up any partial .crdownload files
-                const currentFiles = fs.readdirSync(downloadPath);
-                const tempFile = currentFiles.find(file => !filesBefore.has(file) && file.endsWith('.crdownload'));
-                if (tempFile) {
-                    fs.unlinkSync(path.join(downloadPath, tempFile));
-                    console.log('✓ Cleaned up temporary file.');
-                }
-
-                const { choice } = await inquirer.prompt([
-                    {
-                        type: 'list',
-                        name: 'choice',
-                        message: `What would you like to do for "${trackName}"?`,
-                        choices: ['Retry', 'Skip'],
-                    },
-                ]);
-
-                if (choice === 'Skip') {
-                    userSkipped = true;
-                    console.log(`Skipping track "${trackName}".`);
-                } else {
-                    console.log(`Retrying download for "${trackName}"...`);
-                }
-                progressBar.start(tracks.length, i, { step: `Retrying "${trackName}"` }); // Resume progress bar
-            }
-
-            // --- Close the download confirmation modal ---
-            try {
-                const closeModalSelector = 'div.modal__overlay div.modal button';
-                await page.waitForSelector(closeModalSelector, { visible: true, timeout: 5000 });
-                await page.click(closeModalSelector);
-            } catch (e) {
-                // This is not critical, so we just log it informatively.
-                // console.log(`(Info) Download modal not found for track "${trackName}", continuing...`);
-            }
-
-            // Un-solo the track to prepare for the next one.
-            if (soloButton) {
-                // The same robust click method to un-solo
-                await page.evaluate(el => {
-                    el.scrollIntoView({ block: 'center', inline: 'center' });
-                }, soloButton);
-                await soloButton.click(); // Disable solo
-            }
+        if (argv.includes('--json')) {
+            writeJson({ ok: false, error: error.message });
+        } else {
+            log.error(`\n❌ ${error.message}`);
         }
-        
-        progressBar.increment();
+        process.exitCode = error.exitCode || EXIT_CODES.ERROR;
     }
 }
 
-// Pass command line arguments (like --visible) to the main function
-main(process.argv.slice(2));
+main(process.argv);
@@ -0,0 +1,222 @@
+// lib/client.js
+// A programmatic client for karaoke-version.com, for scripts and other tools: log in, list the purchased
+// songs, read a song's tracks and download its tracks and mixes. It never prints or asks anything; what
+// happens is reported as events, its messages included:
+//
+//   const client = new KaraokeVersionClient({ downloadDir: '/music' });
+//   client.on('trackFinished', ({ track, status }) => console.log(track, status));
+//   await client.open();
+//   await client.login(email, password);
+//   for (const song of await client.fetchPurchasedSongs()) await client.downloadSong(song.url);
+//   await client.close();
+//
+// The command line (lib/commands.js, lib/interactive.js and lib/queue.js) uses it the same way.
+const path = require('path');
+const EventEmitter = require('events');
+const { EXIT_CODES, DownloaderError, SessionExpiredError } = require('./errors');
+const {
+    DEFAULT_DOWNLOAD_DIR,
+    DEFAULT_PROFILE_DIR,
+    launchBrowser,
+    login,
+    fetchPurchasedSongs,
+    inspectSong,
+    processSong,
+} = require('./site');
+const { DEFAULT_RATE_LIMIT, createRateLimiter } = require('./ratelimit');
+const { DEFAULT_RETRY_POLICY } = require('./retry');
+const { namingFromOptions } = require('./naming');
+const { DEFAULT_VARIANT } = require('./variants');
+const { captureLogs } = require('./logger');
+
+const TIMEOUT_POLICIES = ['prompt', 'retry', 'skip', 'fail'];
+
+/**
+ * Events, all with one object argument:
+ *  - 'log' `{level, message}`: what the client would have printed, at every level.
+ *  - 'trackStarted' `{songUrl, track, file, attempt}`: a track or mix download begins.
+ *  - 'progress' `{songUrl, track, file, receivedBytes, totalBytes, bytesPerSecond}`: bytes came in.
+ *  - 'trackFinished' `{songUrl, track, file, status, attempts?, reason?, mix?}`: the final result of a track,
+ *    status being 'downloaded', 'exists', 'skipped' or 'failed'.
+ *  - 'trackFailed' `{songUrl, track, file, attempt, reason, action}`: an attempt failed; `action` tells what
+ *    happens next: 'retry', 'skip', 'give-up' or 'fail'.
+ *  - 'sessionExpired' `{songUrl?}`: the site logged us out; the client logs in again and carries on.
+ */
+class KaraokeVersionClient extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.visible] Show the browser window.
+     * @param {string|null} [options.profileDir] Browser profile keeping the login session; null for none.
+     * @param {string} [options.downloadDir] Base folder of the downloads; each song gets its own subfolder.
+     * @param {{template?: string, mixTemplate?: string}} [options.naming] Naming templates, see lib/naming.js.
+     * @param {object} [options.retryPolicy] Attempts and backoff, see lib/retry.js.
+     * @param {number} [options.rateLimit] At most this many page loads and downloads per minute, across all tabs; 0 for no limit.
+     */
+    constructor({
+        visible = false,
+        profileDir = DEFAULT_PROFILE_DIR,
+        downloadDir = DEFAULT_DOWNLOAD_DIR,
+        naming,
+        retryPolicy = DEFAULT_RETRY_POLICY,
+        rateLimit = DEFAULT_RATE_LIMIT,
+    } = {}) {
+        super();
+        this.visible = visible;
+        this.profileDir = profileDir;
+        this.downloadDir = downloadDir;
+        this.naming = namingFromOptions(naming);
+        this.retryPolicy = retryPolicy;
+        this.rateLimiter = createRateLimiter(rateLimit);
+        this.browser = null;
+        this.page = null;
+        this.account = null;
+        // The songs being downloaded and their download folder, see downloadSong.
+        this.activeDownloads = 0;
+        this.activeDownloadDir = null;
+    }
+
+    /** Starts the browser. */
+    async open() {
+        if (!this.browser) {
+            this.browser = await this.run(() => launchBrowser({ visible: this.visible, profileDir: this.profileDir }));
+            this.page = await this.browser.newPage();
+        }
+        return this;
+    }
+
+    /** Another tab sharing the login session, e.g. to download songs in parallel. */
+    async newTab() {
+        return this.browser.newPage();
+    }
+
+    /**
+     * Logs in, unless the saved session is still valid. Throws a LoginError when the site refuses.
+     * The account is kept to log in again when the session expires.
+     */
+    async login(email, password) {
+        await this.run(() => login(this.page, email, password, { visible: this.visible }));
+        this.account = { email, password };
+    }
+
+    /** @returns {Promise<Array<{name: string, url: string}>>} The purchased songs, sorted by name. */
+    async fetchPurchasedSongs() {
+        return this.run(() => this.withRelogin(this.page, null, () => fetchPurchasedSongs(this.page)));
+    }
+
+    /**
+     * Reads a song's title, artist and mixer tracks, and whether it was purchased.
+     * @param {string} songUrl
+     * @param {object} [options]
+     * @param {import('puppeteer').Page} [options.page] The tab to use, see newTab.
+     */
+    async inspectSong(songUrl, { page = this.page } = {}) {
+        return this.run(() => this.withRelogin(page, songUrl, () => inspectSong(page, songUrl, {
+            rateLimiter: this.rateLimiter,
+            retryPolicy: this.retryPolicy,
+        })));
+    }
+
+    /**
+     * Downloads the tracks (and mixes) of one song. Tracks already on disk are kept.
+     * @param {string} songUrl
+     * @param {object} [options]
+     * @param {boolean} [options.enableClickTrack] Turn the 'Intro Click' precount on or off; left as it is by default.
+     * @param {boolean} [options.stems=true] Download every track on its own.
+     * @param {object[]} [options.mixes] Custom mixes, see lib/mixes.js.
+     * @param {Array<{key: number, tempo: number}>} [options.variants] Key/tempo variants, see lib/variants.js.
+     * @param {string[]} [options.projects] DAW project formats to write, see lib/projects.js.
+     * @param {'prompt'|'retry'|'skip'|'fail'} [options.onTimeout='retry'] What to do when a track download
+     *     fails: retry it, skip it right away, or retry it and abort the run if it still fails. 'prompt' asks once
+     *     the retries are used up.
+     * @param {function(string): Promise<'retry'|'skip'>} [options.askFailureAction] Needed by 'prompt': asked with the track name.
+     * @param {string} [options.downloadDir] @param {object} [options.naming] @param {object} [options.retryPolicy]
+     *     Override the client's settings for this song. The browser saves every tab's downloads to a staging
+     *     folder inside the download folder, so songs downloaded at the same time must share it.
+     * @param {import('puppeteer').Page} [options.page] The tab to use, see newTab.
+     * @param {object} [options.progressBar] @param {object} [options.progressBars] A cli-progress bar to draw, see processSong.
+     * @returns {Promise<{success: boolean, songTitle: string, downloadPath?: string, reason?: string, tracks: object[]}>}
+     */
+    async downloadSong(songUrl, {
+        page = this.page,
+        downloadDir = this.downloadDir,
+        naming = this.naming,
+        retryPolicy = this.retryPolicy,
+        onTimeout = 'retry',
+        askFailureAction,
+        enableClickTrack,
+        stems = true,
+        mixes = [],
+        variants = [DEFAULT_VARIANT],
+        projects = [],
+        progressBar,
+        progressBars,
+    } = {}) {
+        if (!TIMEOUT_POLICIES.includes(onTimeout)) {
+            throw new DownloaderError(`Unknown timeout policy "${onTimeout}".`, EXIT_CODES.USAGE);
+        }
+        if (onTimeout === 'prompt' && !askFailureAction) {
+            throw new DownloaderError("The 'prompt' timeout policy needs askFailureAction.", EXIT_CODES.USAGE);
+        }
+        const resolvedDownloadDir = path.resolve(downloadDir);
+        if (this.activeDownloads > 0 && resolvedDownloadDir !== this.activeDownloadDir) {
+            throw new DownloaderError(
+                `Songs are being downloaded to ${this.activeDownloadDir}; another download folder can only be used once they are finished.`,
+                EXIT_CODES.USAGE
+            );
+        }
+        const details = job => ({ songUrl, track: job.name, file: job.file });
+
+        this.activeDownloads++;
+        this.activeDownloadDir = resolvedDownloadDir;
+        try {
+            return await this.run(() => this.withRelogin(page, songUrl, () => processSong(page, songUrl, {
+                enableClickTrack,
+                downloadDir,
+                naming,
+                stems,
+                mixes,
+                variants,
+                projects,
+                onTimeout,
+                askFailureAction,
+                retryPolicy,
+                rateLimiter: this.rateLimiter,
+                progressBar,
+                progressBars,
+                onTrackStart: (job, attempt) => this.emit('trackStarted', { ...details(job), attempt }),
+                onDownloadProgress: (job, transfer) => this.emit('progress', { ...details(job), ...transfer }),
+                onTrackFailed: (job, failure) => this.emit('trackFailed', { ...details(job), ...failure }),
+                onTrackDone: result => this.emit('trackFinished', { songUrl, ...result, track: result.name }),
+            })));
+        } finally {
+            this.activeDownloads--;
+        }
+    }
+
+    /** Closes the browser. */
+    async close() {
+        if (this.browser) await this.browser.close();
+        this.browser = null;
+        this.page = null;
+    }
+
+    // Runs `fn` with its log messages turned into 'log' events.
+    run(fn) {
+        return captureLogs((level, message) => this.emit('log', { level, message }), fn);
+    }
+
+    // Runs `fn`; if the site logged us out in the meantime, logs in again and runs it once more.
+    // Songs are resumable (existing tracks are skipped), so downloading again continues the current song.
+    async withRelogin(page, songUrl, fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (!(error instanceof SessionExpiredError) || !this.account) throw error;
+            this.emit('sessionExpired', songUrl ? { songUrl } : {});
+            await login(page, this.account.email, this.account.password, { visible: this.visible });
+            return fn();
+        }
+    }
+}
+
+module.exports = { KaraokeVersionClient };
@@ -0,0 +1,413 @@
+// lib/commands.js
+// Non-interactive subcommands, meant for shell scripts and scheduled jobs.
+const path = require('path');
+const fs = require('fs');
+const { loadConfig, configInteger, runSettings } = require('./config');
+const { resolveCredentials } = require('./credentials');
+const { EXIT_CODES, DownloaderError, TrackTimeoutError } = require('./errors');
+const { launchBrowser, browserOptions } = require('./site');
+const { KaraokeVersionClient } = require('./client');
+const {
+    DEFAULT_QUEUE_PATH,
+    createQueue,
+    loadQueue,
+    saveQueue,
+    clearQueue,
+    remainingSongs,
+    readUrlsFromFile,
+    runQueue,
+    summarizeQueue,
+    printQueueSummary,
+    failureReport,
+    saveFailureReport,
+} = require('./queue');
+const { reconcileLibrary, scanSongFolders, readSongInfo } = require('./library');
+const { parseMixSpec, validateMixSpecs } = require('./mixes');
+const { variantsFromOptions } = require('./variants');
+const { parseProjectFormats, projectsFromConfig, writeProjects } = require('./projects');
+const { log, forwardLogs } = require('./logger');
+const { captureDebugBundle } = require('./debug');
+const { selectors } = require('./selectors');
+const { namingFromOptions } = require('./naming');
+const { runDoctor, printDoctorReport } = require('./doctor');
+const { DEFAULT_WATCH_INTERVAL_MINUTES, validateWebhook, runWatch } = require('./watch');
+const { startServer } = require('./server');
+const { checkSongFiles } = require('./integrity');
+const { onInterrupt } = require('./util');
+
+function requireCredentials(options) {
+    const credentials = resolveCredentials({ credentialsFile: options.credentialsFile });
+    if (!credentials) {
+        throw new DownloaderError(
+            'No credentials found. Set KV_EMAIL and KV_PASSWORD, pass --credentials-file, or run the interactive mode once to save them.',
+            EXIT_CODES.AUTH
+        );
+    }
+    return credentials;
+}
+
+// Starts a client, logs in, hands the client to `fn` and always closes the browser afterwards.
+// The client logs in again by itself when the session expires.
+async function withSession(options, fn) {
+    const { email, password } = requireCredentials(options);
+    const { rateLimit, retryPolicy } = runSettings(options);
+    const client = new KaraokeVersionClient({
+        ...browserOptions(options),
+        downloadDir: options.output,
+        retryPolicy,
+        rateLimit,
+    });
+    forwardLogs(client);
+    try {
+        await client.open();
+        await client.login(email, password);
+        return await fn(client);
+    } catch (error) {
+        // A track that made the run fail has its bundle already.
+        if (!(error instanceof TrackTimeoutError)) await captureDebugBundle(client.page, error, error.name);
+        throw error;
+    } finally {
+        await client.close();
+    }
+}
+
+function writeJson(data) {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+async function listCommand(options) {
+    const list = await withSession(options, client => client.fetchPurchasedSongs());
+
+    if (options.json) {
+        writeJson(list);
+    } else {
+        // The list is the result, not a log message: it always goes to stdout.
+        process.stdout.write(`\n${list.map(song => `${song.name}\t${song.url}\n`).join('')}`);
+    }
+    return EXIT_CODES.OK;
+}
+
+async function downloadCommand(urls, options) {
+    const statePath = options.stateFile;
+    const songUrls = [...urls];
+    if (options.fromFile) {
+        songUrls.push(...readUrlsFromFile(options.fromFile).filter(url => !songUrls.includes(url)));
+    }
+
+    const sources = [songUrls.length > 0, Boolean(options.all), Boolean(options.resume)].filter(Boolean).length;
+    if (sources > 1) {
+        throw new DownloaderError('Pass either song URLs (or --from-file), --all or --resume, not several of them.', EXIT_CODES.USAGE);
+    }
+    if (sources === 0) {
+        throw new DownloaderError('Pass at least one song URL, --from-file, --all to download every purchased song, or --resume.', EXIT_CODES.USAGE);
+    }
+
+    let queue = null;
+    if (options.resume) {
+        queue = loadQueue(statePath);
+        if (!queue || remainingSongs(queue).length === 0) {
+            throw new DownloaderError(`There is no unfinished queue to resume in ${statePath}.`, EXIT_CODES.USAGE);
+        }
+        log.info(`Resuming queue: ${remainingSongs(queue).length} of ${queue.songs.length} songs left.`);
+    } else {
+        const unfinished = loadQueue(statePath);
+        if (unfinished && remainingSongs(unfinished).length > 0) {
+            log.warn(`⚠️  Replacing an unfinished queue (${remainingSongs(unfinished).length} songs left) in ${statePath}.`);
+        }
+    }
+
+    const enableClickTrack = clickTrackSetting(options);
+    if (!options.resume) mixSettings(options);
+    let abortError = null;
+
+    await withSession(options, async client => {
+        if (!queue) {
+            const songs = options.all ? await client.fetchPurchasedSongs() : songUrls.map(url => ({ url }));
+            queue = createQueue(songs, { enableClickTrack, downloadDir: options.output, ...mixSettings(options) });
+            saveQueue(queue, statePath);
+        }
+
+        abortError = await executeQueue(client, queue, options);
+    });
+
+    return finishQueue(queue, abortError, options);
+}
+
+async function syncCommand(options) {
+    const enableClickTrack = clickTrackSetting(options);
+    const settings = mixSettings(options);
+    // A song is complete when it has every file this run would download, not only those of earlier runs.
+    const wanted = { stems: settings.stems, mixes: settings.mixes.map(spec => parseMixSpec(spec).name), variants: settings.variants };
+    let library = [];
+    let queue = null;
+    let abortError = null;
+
+    await withSession(options, async client => {
+        const purchasedSongs = await client.fetchPurchasedSongs();
+        library = reconcileLibrary(options.output, purchasedSongs, wanted);
+        const outdated = library.filter(song => song.status !== 'complete');
+
+        log.info(`\n${library.length - outdated.length} of ${library.length} songs are complete in ${options.output}.`);
+        outdated.forEach(song => {
+            const details = song.missingTracks.length > 0 ? ` — missing: ${song.missingTracks.join(', ')}` : '';
+            log.info(`  ${song.status === 'new' ? '🆕' : '⚠️ '} ${song.name} [${song.status}]${details}`);
+        });
+
+        if (options.dryRun || outdated.length === 0) return;
+
+        queue = createQueue(outdated.map(song => ({ url: song.url, name: song.name })), {
+            enableClickTrack,
+            downloadDir: options.output,
+            ...settings,
+        });
+        saveQueue(queue, options.stateFile);
+        abortError = await executeQueue(client, queue, options);
+    });
+
+    if (!queue) {
+        if (options.json) {
+            writeJson({ ok: true, dryRun: Boolean(options.dryRun), library });
+        } else if (!options.dryRun) {
+            log.info('✅ Library is up to date.');
+        }
+        return EXIT_CODES.OK;
+    }
+    return finishQueue(queue, abortError, options);
+}
+
+// Writes project files for song folders that were already downloaded. No browser needed.
+async function projectCommand(folders, options) {
+    const formats = parseProjectFormats(options.format);
+    const missing = folders.find(folder => !fs.existsSync(folder) || !fs.statSync(folder).isDirectory());
+    if (missing) {
+        throw new DownloaderError(`${missing} is not a folder.`, EXIT_CODES.USAGE);
+    }
+
+    const results = folders.map(folder => {
+        const files = writeProjects(folder, formats);
+        if (files.length > 0) {
+            log.info(`✅ ${folder}: ${files.map(file => path.basename(file)).join(', ')}`);
+        } else {
+            log.info(`⚠️  ${folder}: no stems found, nothing written.`);
+        }
+        return { folder, files };
+    });
+
+    const exitCode = results.every(result => result.files.length > 0) ? EXIT_CODES.OK : EXIT_CODES.INCOMPLETE;
+    if (options.json) writeJson({ ok: exitCode === EXIT_CODES.OK, projects: results });
+    return exitCode;
+}
+
+// Checks the MP3 files of song folders that were already downloaded, every song of the output folder by
+// default. No browser needed. With --fix, the damaged files are removed so that `sync` downloads them again.
+async function verifyCommand(folders, options) {
+    const missing = folders.find(folder => !fs.existsSync(folder) || !fs.statSync(folder).isDirectory());
+    if (missing) {
+        throw new DownloaderError(`${missing} is not a folder.`, EXIT_CODES.USAGE);
+    }
+    const songFolders = folders.length > 0
+        ? folders
+        : [...scanSongFolders(options.output).values()].map(folder => path.join(options.output, folder));
+    if (songFolders.length === 0) {
+        log.info(`No downloaded songs found in ${options.output}.`);
+        if (options.json) writeJson({ ok: true, folders: [] });
+        return EXIT_CODES.OK;
+    }
+
+    const results = songFolders.map(folder => {
+        const files = checkSongFiles(folder, { recorded: (readSongInfo(folder) || {}).files || [] });
+        const damaged = files.filter(file => file.problems.length > 0);
+        if (options.fix) damaged.forEach(file => fs.unlinkSync(path.join(folder, file.file)));
+
+        log.info(`${damaged.length > 0 ? '❌' : '✅'} ${folder}: ${files.length - damaged.length} of ${files.length} files OK`);
+        damaged.forEach(file => log.info(`      ❌ ${file.file}: ${file.problems.join('; ')}${options.fix ? ' (removed)' : ''}`));
+        files.filter(file => file.silent && file.problems.length === 0).forEach(file => log.info(`      🔇 ${file.file}: completely silent`));
+        return { folder, files };
+    });
+
+    const damagedCount = results.reduce((count, result) => count + result.files.filter(file => file.problems.length > 0).length, 0);
+    if (damagedCount > 0) {
+        log.info(options.fix
+            ? `\n${damagedCount} damaged file(s) removed; run "sync" to download them again.`
+            : `\n${damagedCount} damaged file(s); run again with --fix to remove them, then "sync" to download them again.`);
+    }
+    const exitCode = damagedCount === 0 ? EXIT_CODES.OK : EXIT_CODES.INCOMPLETE;
+    if (options.json) writeJson({ ok: exitCode === EXIT_CODES.OK, folders: results });
+    return exitCode;
+}
+
+// Keeps running: downloads every new purchase and reports it to the webhook and/or the command hook.
+// The options override the "watchInterval", "webhook" and "hook" settings of config.json.
+async function watchCommand(options) {
+    const config = loadConfig();
+    const enableClickTrack = clickTrackSetting(options);
+    const settings = mixSettings(options);
+    const intervalMinutes = options.interval || configInteger(config, 'watchInterval', 1) || DEFAULT_WATCH_INTERVAL_MINUTES;
+    const hooks = { webhook: options.webhook || config.webhook, command: options.hook || config.hook };
+    // Checked before the browser starts, rather than after the login.
+    if (hooks.webhook) validateWebhook(hooks.webhook);
+    let finished = [];
+
+    await withSession(options, async client => {
+        finished = await runWatch(client, {
+            statePath: options.watchState,
+            intervalMinutes,
+            once: Boolean(options.once),
+            includeExisting: Boolean(options.includeExisting),
+            hooks,
+            downloadSongs: async songs => {
+                const queue = createQueue(songs, { enableClickTrack, downloadDir: options.output, ...settings });
+                // The watch state keeps what is left to do, so the queue is not saved: the next check resumes it.
+                await executeQueue(client, queue, { ...options, stateFile: null });
+                printQueueSummary(queue);
+                return queue;
+            },
+        });
+    });
+
+    // Only --once gets here; a failed song makes the run incomplete, like a download.
+    const incomplete = finished.some(song => song.status !== 'complete');
+    if (options.json) writeJson({ ok: !incomplete, songs: finished });
+    return incomplete ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+}
+
+// Runs the web dashboard until Ctrl+C. Downloads started from it use the settings of config.json
+// ("enableClickTrack", "template", "mixTemplate", "projectFormats") unless the page chooses otherwise.
+async function serveCommand(options) {
+    const config = loadConfig();
+    const defaults = {
+        enableClickTrack: clickTrackSetting(options),
+        naming: namingSettings(options),
+        projects: projectsFromConfig(config),
+    };
+
+    await withSession(options, async client => {
+        const server = await startServer(client, { host: options.host, port: options.port, downloadDir: options.output, defaults });
+        log.info(`\n🌐 The dashboard is running at ${server.url}. Press Ctrl+C to stop.`);
+        if (!['127.0.0.1', 'localhost', '::1'].includes(options.host)) {
+            log.warn('⚠️  Anyone who can reach this computer can open the dashboard and download with your account.');
+        }
+        await new Promise(resolve => {
+            onInterrupt(resolve);
+            process.once('SIGTERM', resolve);
+        });
+        await server.close();
+    });
+    return EXIT_CODES.OK;
+}
+
+async function doctorCommand(options) {
+    if (options.fixtures && !fs.existsSync(options.fixtures)) {
+        throw new DownloaderError(`${options.fixtures} is not a folder.`, EXIT_CODES.USAGE);
+    }
+    if (options.fixtures && (options.save || options.song)) {
+        throw new DownloaderError('--fixtures checks saved pages, it can\'t be combined with --save or --song.', EXIT_CODES.USAGE);
+    }
+    // Broken overrides in config.json are reported before the browser starts.
+    const map = selectors();
+    const account = options.fixtures ? null : { ...requireCredentials(options), visible: options.visible };
+
+    // Saved pages don't need the login session, so the browser profile is left alone.
+    const browser = await launchBrowser(options.fixtures ? { visible: options.visible, profileDir: null } : browserOptions(options));
+    let result;
+    try {
+        const page = await browser.newPage();
+        result = await runDoctor(page, {
+            fixturesDir: options.fixtures,
+            account,
+            songUrl: options.song,
+            saveDir: options.save,
+            map,
+        });
+    } finally {
+        await browser.close();
+    }
+
+    if (options.json) writeJson(result);
+    else printDoctorReport(result);
+    if (options.save) log.info(`\nSaved the pages to ${options.save}; check them again offline with --fixtures ${options.save}.`);
+    return result.ok ? EXIT_CODES.OK : EXIT_CODES.INCOMPLETE;
+}
+
+// --template and --mix-template override the naming templates saved in config.json.
+function namingSettings(options) {
+    const config = loadConfig();
+    return namingFromOptions({
+        template: options.template || config.template,
+        mixTemplate: options.mixTemplate || config.mixTemplate,
+    });
+}
+
+// --click / --no-click override the saved preference; without either flag we keep the saved one.
+function clickTrackSetting(options) {
+    return options.click !== undefined ? options.click : loadConfig().enableClickTrack !== false;
+}
+
+// Which files to download for each song, in which keys and tempos, how they are named and which project
+// files to write. The specs are checked here, before anything is downloaded.
+function mixSettings(options) {
+    const mixes = options.mix || [];
+    validateMixSpecs(mixes);
+    if (!options.stems && mixes.length === 0) {
+        throw new DownloaderError('--no-stems needs at least one --mix, otherwise there is nothing to download.', EXIT_CODES.USAGE);
+    }
+    return {
+        stems: options.stems,
+        mixes,
+        variants: variantsFromOptions(options),
+        naming: namingSettings(options),
+        projects: options.project ? parseProjectFormats(options.project) : [],
+    };
+}
+
+// The command that resumes the queue of the state file, for the messages of an interrupted or aborted run.
+function resumeCommand(options) {
+    const custom = path.resolve(options.stateFile) !== DEFAULT_QUEUE_PATH;
+    return `download --resume${custom ? ` --state-file "${options.stateFile}"` : ''}`;
+}
+
+// Runs a queue and returns the TrackTimeoutError that aborted it ('fail' timeout policy), if any.
+async function executeQueue(client, queue, options) {
+    try {
+        await runQueue(client, queue, {
+            statePath: options.stateFile,
+            onTimeout: options.onTimeout,
+            concurrency: runSettings(options).concurrency,
+            ...(options.stateFile ? { resumeHint: `resume it with "${resumeCommand(options)}"` } : {}),
+        });
+        return null;
+    } catch (error) {
+        if (!(error instanceof TrackTimeoutError)) throw error;
+        return error;
+    }
+}
+
+// Reports the outcome of a queue and returns the exit code.
+function finishQueue(queue, abortError, options) {
+    // An aborted queue stays on disk so it can be resumed; a finished one has nothing left to resume.
+    if (!abortError) clearQueue(options.stateFile);
+
+    const { songs } = summarizeQueue(queue);
+    const exitCode = songs.complete === queue.songs.length ? EXIT_CODES.OK : EXIT_CODES.INCOMPLETE;
+    const reportPath = saveFailureReport(queue, options.report);
+
+    if (options.json) {
+        const report = failureReport(queue);
+        writeJson({
+            ok: exitCode === EXIT_CODES.OK,
+            aborted: Boolean(abortError),
+            summary: summarizeQueue(queue),
+            failures: report ? report.failures : [],
+            songs: queue.songs,
+        });
+    } else {
+        printQueueSummary(queue);
+        if (reportPath) log.info(`\n📄 Failure report saved to ${reportPath}`);
+        if (abortError) {
+            log.info(`\n⚠️  Run aborted: ${abortError.message} Resume it with "${resumeCommand(options)}".`);
+        }
+    }
+    return exitCode;
+}
+
+module.exports = { listCommand, downloadCommand, syncCommand, watchCommand, serveCommand, projectCommand, verifyCommand, doctorCommand, writeJson };
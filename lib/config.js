@@ -0,0 +1,68 @@
+// lib/config.js
+const path = require('path');
+const fs = require('fs');
+const { EXIT_CODES, DownloaderError } = require('./errors');
+const { log } = require('./logger');
+const { DEFAULT_RATE_LIMIT } = require('./ratelimit');
+const { retryPolicyFromOptions } = require('./retry');
+
+// --- Configuration Management ---
+// config.json only holds settings; the login credentials live in lib/credentials.js.
+const configPath = path.resolve(__dirname, '..', 'config.json');
+
+function loadConfig() {
+    if (fs.existsSync(configPath)) {
+        try {
+            const rawData = fs.readFileSync(configPath, 'utf-8');
+            return JSON.parse(rawData);
+        } catch (error) {
+            log.warn('⚠️  Could not read or parse config.json, starting fresh.');
+            return {};
+        }
+    }
+    return {};
+}
+
+function saveConfig(data) {
+    try {
+        fs.writeFileSync(configPath, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+        log.error('❌ Could not save to config.json:', error);
+    }
+}
+
+/**
+ * A whole-number setting of config.json, checked like the command line option it stands in for.
+ * @param {object} config
+ * @param {string} name
+ * @param {number} min
+ * @returns {number|undefined} undefined when the setting is not there.
+ */
+function configInteger(config, name, min) {
+    const value = config[name];
+    if (value === undefined) return undefined;
+    if (!Number.isInteger(value) || value < min) {
+        throw new DownloaderError(`"${name}" in config.json must be a whole number of at least ${min}.`, EXIT_CODES.USAGE);
+    }
+    return value;
+}
+
+/**
+ * The pace of a run: the rate limit, the number of songs downloaded at once and the retry policy.
+ * Each comes from the command line option, then config.json ("rateLimit", "concurrency", "retries",
+ * "retryDelay"), then the built-in default. The settings of config.json are checked like the options.
+ * @param {{rateLimit?: number, concurrency?: number, retries?: number, retryDelay?: number}} [options]
+ * @returns {{rateLimit: number, concurrency: number, retryPolicy: object}}
+ */
+function runSettings(options = {}) {
+    const config = loadConfig();
+    const minimums = { rateLimit: 0, concurrency: 1, retries: 0, retryDelay: 0 };
+    const setting = name => (options[name] !== undefined ? options[name] : configInteger(config, name, minimums[name]));
+    return {
+        rateLimit: setting('rateLimit') !== undefined ? setting('rateLimit') : DEFAULT_RATE_LIMIT,
+        concurrency: setting('concurrency') || 1,
+        retryPolicy: retryPolicyFromOptions({ retries: setting('retries'), retryDelay: setting('retryDelay') }),
+    };
+}
+
+module.exports = { configPath, loadConfig, saveConfig, configInteger, runSettings };
@@ -0,0 +1,146 @@
+// lib/credentials.js
+// Login credentials, kept apart from the settings in config.json.
+//
+// They come from, in order:
+//  1. the KV_EMAIL and KV_PASSWORD environment variables,
+//  2. a JSON file given with --credentials-file or KV_CREDENTIALS_FILE ({ "email": ..., "password": ... }),
+//  3. credentials.json, encrypted with a master passphrase (scrypt + AES-256-GCM).
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { loadConfig, saveConfig } = require('./config');
+const { EXIT_CODES, DownloaderError } = require('./errors');
+const { log } = require('./logger');
+
+const credentialsPath = path.resolve(__dirname, '..', 'credentials.json');
+
+// scrypt cost parameters; N = 2^15 takes a fraction of a second and 32 MB of memory.
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+    return crypto.scryptSync(passphrase, salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 });
+}
+
+function encryptCredentials({ email, password }, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify({ email, password }), 'utf-8'), cipher.final()]);
+    return {
+        version: 1,
+        kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+}
+
+function decryptCredentials(stored, passphrase) {
+    const key = deriveKey(passphrase, Buffer.from(stored.kdf.salt, 'base64'), stored.kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    try {
+        const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf-8'));
+    } catch (error) {
+        // GCM authentication fails when the passphrase is wrong (or the file was tampered with).
+        throw new DownloaderError('Wrong passphrase, could not unlock the saved credentials.', EXIT_CODES.AUTH);
+    }
+}
+
+function hasStoredCredentials() {
+    return fs.existsSync(credentialsPath);
+}
+
+function loadStoredCredentials(passphrase) {
+    let stored;
+    try {
+        stored = JSON.parse(fs.readFileSync(credentialsPath, 'utf-8'));
+    } catch (error) {
+        throw new DownloaderError(`Could not read ${credentialsPath}: ${error.message}`, EXIT_CODES.AUTH);
+    }
+    return decryptCredentials(stored, passphrase);
+}
+
+function saveStoredCredentials(credentials, passphrase) {
+    fs.writeFileSync(credentialsPath, JSON.stringify(encryptCredentials(credentials, passphrase), null, 2), {
+        encoding: 'utf-8',
+        mode: 0o600, // Readable by the owner only
+    });
+}
+
+function readCredentialsFile(filePath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        throw new DownloaderError(`Could not read the credentials file ${filePath}: ${error.message}`, EXIT_CODES.AUTH);
+    }
+    if (!data.email || !data.password) {
+        throw new DownloaderError(`The credentials file ${filePath} needs an "email" and a "password".`, EXIT_CODES.AUTH);
+    }
+    return { email: data.email, password: data.password };
+}
+
+// Plaintext credentials left in config.json by older versions.
+function plaintextCredentials() {
+    const config = loadConfig();
+    return config.email && config.password ? { email: config.email, password: config.password } : null;
+}
+
+// Moves plaintext credentials out of config.json into the encrypted store. The other settings stay.
+function migratePlaintextCredentials(passphrase) {
+    const credentials = plaintextCredentials();
+    if (!credentials) return null;
+    saveStoredCredentials(credentials, passphrase);
+    const { email, password, ...settings } = loadConfig();
+    saveConfig(settings);
+    log.info(`🔒 Moved your credentials from config.json into the encrypted ${path.basename(credentialsPath)}.`);
+    return credentials;
+}
+
+/**
+ * Finds credentials without prompting, for the non-interactive commands.
+ * @param {{credentialsFile?: string, passphrase?: string}} options
+ * @returns {{email: string, password: string, source: string}|null}
+ */
+function resolveCredentials({ credentialsFile = process.env.KV_CREDENTIALS_FILE, passphrase = process.env.KV_PASSPHRASE } = {}) {
+    if (process.env.KV_EMAIL && process.env.KV_PASSWORD) {
+        return { email: process.env.KV_EMAIL, password: process.env.KV_PASSWORD, source: 'environment' };
+    }
+    if (credentialsFile) {
+        return { ...readCredentialsFile(credentialsFile), source: credentialsFile };
+    }
+
+    if (plaintextCredentials()) {
+        if (passphrase) {
+            return { ...migratePlaintextCredentials(passphrase), source: 'credentials.json' };
+        }
+        log.warn('⚠️  Your credentials are still stored in plain text in config.json. Set KV_PASSPHRASE, or start the interactive mode, to encrypt them.');
+        return { ...plaintextCredentials(), source: 'config.json' };
+    }
+
+    if (hasStoredCredentials()) {
+        if (!passphrase) {
+            throw new DownloaderError('Your saved credentials are encrypted. Set KV_PASSPHRASE to unlock them.', EXIT_CODES.AUTH);
+        }
+        return { ...loadStoredCredentials(passphrase), source: 'credentials.json' };
+    }
+    return null;
+}
+
+module.exports = {
+    credentialsPath,
+    encryptCredentials,
+    decryptCredentials,
+    hasStoredCredentials,
+    loadStoredCredentials,
+    saveStoredCredentials,
+    readCredentialsFile,
+    plaintextCredentials,
+    migratePlaintextCredentials,
+    resolveCredentials,
+};
@@ -0,0 +1,117 @@
+// lib/debug.js
+// --debug mode: when something fails, the state of the page is saved into a timestamped folder:
+//  - screenshot.png, the full page,
+//  - page.html, the page source at that moment,
+//  - console.log, what the page printed to the browser console,
+//  - network.json, the recent requests with their status or failure,
+//  - error.txt, the error and the page URL.
+const path = require('path');
+const fs = require('fs');
+const { log } = require('./logger');
+
+const DEFAULT_DEBUG_DIR = path.resolve(__dirname, '..', 'debug');
+// Only the most recent entries are kept per page, a long run would otherwise grow without bounds.
+const MAX_LOG_ENTRIES = 500;
+
+let debugDir = null;
+const pageLogs = new WeakMap(); // page -> { console: string[], network: object[] }
+
+/** Turns debug captures on, saving them under `dir`. */
+function enableDebug(dir = DEFAULT_DEBUG_DIR) {
+    debugDir = path.resolve(dir);
+}
+
+function isDebugEnabled() {
+    return debugDir !== null;
+}
+
+function remember(entries, entry) {
+    entries.push(entry);
+    if (entries.length > MAX_LOG_ENTRIES) entries.shift();
+}
+
+/** Starts recording the console output and network requests of a page, when debug mode is on. */
+function watchPage(page) {
+    if (!isDebugEnabled() || pageLogs.has(page)) return;
+    const logs = { console: [], network: [] };
+    pageLogs.set(page, logs);
+    const time = () => new Date().toISOString();
+
+    page.on('console', message => remember(logs.console, `${time()} [${message.type()}] ${message.text()}`));
+    page.on('pageerror', error => remember(logs.console, `${time()} [pageerror] ${error.message}`));
+    page.on('response', response => remember(logs.network, {
+        time: time(),
+        method: response.request().method(),
+        url: response.url(),
+        status: response.status(),
+        type: response.request().resourceType(),
+    }));
+    page.on('requestfailed', request => remember(logs.network, {
+        time: time(),
+        method: request.method(),
+        url: request.url(),
+        failure: request.failure() ? request.failure().errorText : 'failed',
+        type: request.resourceType(),
+    }));
+}
+
+/** Records every page the browser opens, the extra tabs of parallel downloads included. */
+function watchBrowser(browser) {
+    if (!isDebugEnabled()) return;
+    browser.on('targetcreated', async target => {
+        if (target.type() !== 'page') return;
+        const page = await target.page().catch(() => null);
+        if (page) watchPage(page);
+    });
+}
+
+// "2026-10-19T17-45-12-345Z-lead-vocal"
+function bundleName(label) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const slug = String(label).normalize('NFKD').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase().slice(0, 60);
+    return slug ? `${timestamp}-${slug}` : timestamp;
+}
+
+/**
+ * Saves a debug bundle for a failure on `page`. Does nothing unless debug mode is on.
+ * Capturing never throws: a page that crashed still gets whatever could be saved.
+ * @param {import('puppeteer').Page} page
+ * @param {Error|string} error
+ * @param {string} label What was being done, used in the folder name, e.g. the track name.
+ * @returns {Promise<string|null>} The bundle folder.
+ */
+async function captureDebugBundle(page, error, label) {
+    if (!isDebugEnabled() || !page) return null;
+    try {
+        const folder = path.join(debugDir, bundleName(label));
+        fs.mkdirSync(folder, { recursive: true });
+
+        const url = (() => {
+            try {
+                return page.url();
+            } catch (e) {
+                return 'unknown';
+            }
+        })();
+        const details = error instanceof Error ? error.stack || error.message : String(error);
+        fs.writeFileSync(path.join(folder, 'error.txt'), `${label}\nURL: ${url}\n\n${details}\n`, 'utf-8');
+
+        const logs = pageLogs.get(page) || { console: [], network: [] };
+        fs.writeFileSync(path.join(folder, 'console.log'), logs.console.join('\n') + '\n', 'utf-8');
+        fs.writeFileSync(path.join(folder, 'network.json'), JSON.stringify(logs.network, null, 2), 'utf-8');
+
+        await page.screenshot({ path: path.join(folder, 'screenshot.png'), fullPage: true })
+            .catch(captureError => log.debug(`Could not take a debug screenshot: ${captureError.message}`));
+        await page.content()
+            .then(html => fs.writeFileSync(path.join(folder, 'page.html'), html, 'utf-8'))
+            .catch(captureError => log.debug(`Could not save the page HTML: ${captureError.message}`));
+
+        log.warn(`🐞 Debug information saved to ${folder}`);
+        return folder;
+    } catch (captureError) {
+        log.warn(`⚠️  Could not save the debug information: ${captureError.message}`);
+        return null;
+    }
+}
+
+module.exports = { DEFAULT_DEBUG_DIR, enableDebug, isDebugEnabled, watchPage, watchBrowser, captureDebugBundle };
@@ -0,0 +1,270 @@
+// lib/doctor.js
+// `kv-downloader doctor`: loads the login, "My Downloads" and song pages and reports which of the selectors in
+// lib/selectors.js no longer match, so a change of the site's markup shows up before a run fails halfway.
+//
+// The pages are either the live site or saved copies: `--save <dir>` keeps the live pages as login.html,
+// downloads.html and song.html, and `--fixtures <dir>` checks such files offline, served by a local server
+// that stands in for the site.
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const { LOGIN_URL, ACCOUNT_URL, login, isLoginPage } = require('./site');
+const { DEFAULT_SELECTORS, selectors, selectorFor } = require('./selectors');
+const { log } = require('./logger');
+
+// What is checked on each page. The first required selector is waited for before checking.
+// Optional selectors are only on the page in some situations, so a missing one is not an error.
+const PAGE_CHECKS = {
+    login: [
+        { name: 'login.emailInput' },
+        { name: 'login.passwordInput' },
+        { name: 'login.submitButton' },
+        { name: 'common.cookieConsentButton', optional: true }, // Not shown once the cookie policy is accepted
+        { name: 'login.errorMessage', optional: true }, // Only after a refused login
+        { name: 'login.captcha', optional: true },
+    ],
+    downloads: [
+        { name: 'downloads.songCell' },
+        { name: 'downloads.songLink', within: 'downloads.songCell' },
+        { name: 'downloads.nextPageLink', optional: true }, // Only with more than one page of songs
+    ],
+    song: [
+        { name: 'song.mixer' },
+        { name: 'song.track' },
+        { name: 'song.trackCaption', within: 'song.track' },
+        { name: 'song.trackSolo', within: 'song.track' },
+        { name: 'song.trackMute', within: 'song.track' },
+        { name: 'song.trackVolume', within: 'song.track' },
+        { name: 'song.precount' },
+        { name: 'song.downloadButton' },
+        // The key and tempo controls are only used for --key, --tempo and --variant.
+        { name: 'song.keyDown', optional: true },
+        { name: 'song.keyUp', optional: true },
+        { name: 'song.keyValue', optional: true },
+        { name: 'song.tempoDown', optional: true },
+        { name: 'song.tempoUp', optional: true },
+        { name: 'song.tempoValue', optional: true },
+        { name: 'song.artist', optional: true }, // The artist is read from the page title without it
+        { name: 'song.downloadModalClose', optional: true }, // Only after a download
+    ],
+};
+
+const PAGE_TITLES = { login: 'Login page', downloads: '"My Downloads" page', song: 'Song page' };
+// The file names of saved pages, for --save and --fixtures.
+const FIXTURE_FILES = { login: 'login.html', downloads: 'downloads.html', song: 'song.html' };
+
+const LIVE_READY_TIMEOUT_MS = 15000;
+const FIXTURE_READY_TIMEOUT_MS = 2000;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+};
+
+/**
+ * Serves the files of a folder on a free local port, standing in for the site.
+ * @param {string} dir
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+function serveFixtures(dir) {
+    const root = path.resolve(dir);
+    const server = http.createServer((request, response) => {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch (error) {
+            // A malformed escape such as "%E0%A4%A" must not bring the server down.
+            response.writeHead(400, { 'Content-Type': 'text/plain' });
+            response.end('Bad request');
+            return;
+        }
+        const filePath = path.join(root, pathname);
+        // Nothing outside the folder is served.
+        if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        fs.createReadStream(filePath).pipe(response);
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(() => done())),
+        }));
+    });
+}
+
+// Counts the matches of one selector; a selector `within` another counts the elements of that one containing a match.
+async function countMatches(page, selector, withinSelector) {
+    return page.evaluate((target, container) => {
+        if (!container) return document.querySelectorAll(target).length;
+        return Array.from(document.querySelectorAll(container)).filter(el => el.querySelector(target)).length;
+    }, selector, withinSelector || null);
+}
+
+// The page's DOM as it is rendered now, without its scripts, so the saved copy shows the same when served offline.
+async function renderedHtml(page) {
+    return page.evaluate(() => {
+        const copy = document.documentElement.cloneNode(true);
+        copy.querySelectorAll('script').forEach(script => script.remove());
+        return `<!DOCTYPE html>\n${copy.outerHTML}\n`;
+    });
+}
+
+/**
+ * Checks the selectors of the page that is open in the browser.
+ * @param {import('puppeteer').Page} page
+ * @param {'login'|'downloads'|'song'} pageName
+ * @param {object} [options]
+ * @param {object} [options.map] The selectors to check, see lib/selectors.js.
+ * @param {number} [options.readyTimeout] How long to wait for the page's first required selector.
+ * @param {string} [options.saveDir] Also save the page there, for checking it offline later.
+ */
+async function checkPage(page, pageName, { map = selectors(), readyTimeout = LIVE_READY_TIMEOUT_MS, saveDir } = {}) {
+    const checks = PAGE_CHECKS[pageName];
+    const ready = checks.find(check => !check.optional);
+    await page.waitForSelector(selectorFor(map, ready.name), { timeout: readyTimeout }).catch(() => {});
+
+    const results = [];
+    for (const check of checks) {
+        const selector = selectorFor(map, check.name);
+        const result = {
+            name: check.name,
+            selector,
+            optional: Boolean(check.optional),
+            overridden: selector !== selectorFor(DEFAULT_SELECTORS, check.name),
+        };
+        try {
+            result.count = await countMatches(page, selector, check.within && selectorFor(map, check.within));
+            result.status = result.count > 0 ? 'ok' : check.optional ? 'not-shown' : 'missing';
+        } catch (error) {
+            // A selector that is not valid CSS, e.g. a broken override.
+            Object.assign(result, { count: 0, status: 'invalid', error: error.message.split('\n')[0] });
+        }
+        results.push(result);
+    }
+
+    if (saveDir) {
+        fs.mkdirSync(saveDir, { recursive: true });
+        fs.writeFileSync(path.join(saveDir, FIXTURE_FILES[pageName]), await renderedHtml(page), 'utf-8');
+    }
+    return { page: pageName, url: page.url(), status: 'checked', checks: results };
+}
+
+// A page that was not checked. `failed` pages make the doctor fail; the others are only worth a note.
+const notChecked = (pageName, url, status, reason) => ({ page: pageName, url, status, reason, checks: [] });
+
+async function checkFixtures(page, fixturesDir, map) {
+    const server = await serveFixtures(fixturesDir);
+    try {
+        const reports = [];
+        for (const pageName of Object.keys(PAGE_CHECKS)) {
+            const file = FIXTURE_FILES[pageName];
+            const url = `${server.url}/${file}`;
+            if (!fs.existsSync(path.join(fixturesDir, file))) {
+                reports.push(notChecked(pageName, url, 'skipped', `There is no ${file} in ${fixturesDir}.`));
+                continue;
+            }
+            await page.goto(url, { waitUntil: 'load' });
+            reports.push(await checkPage(page, pageName, { map, readyTimeout: FIXTURE_READY_TIMEOUT_MS }));
+        }
+        return reports;
+    } finally {
+        await server.close();
+    }
+}
+
+async function checkLiveSite(page, { account, songUrl, saveDir, map }) {
+    const reports = [];
+
+    log.info('Checking the login page...');
+    await page.goto(LOGIN_URL, { waitUntil: 'networkidle2' });
+    if (await isLoginPage(page)) {
+        reports.push(await checkPage(page, 'login', { map, saveDir }));
+    } else {
+        reports.push(notChecked('login', LOGIN_URL, 'skipped', 'The saved session is still logged in; run with --no-profile to check the login page.'));
+    }
+
+    try {
+        await login(page, account.email, account.password, { visible: account.visible });
+    } catch (error) {
+        const reason = `Could not log in: ${error.message}`;
+        reports.push(notChecked('downloads', ACCOUNT_URL, 'failed', reason), notChecked('song', songUrl || null, 'failed', reason));
+        return reports;
+    }
+
+    log.info('Checking the "My Downloads" page...');
+    await page.goto(ACCOUNT_URL, { waitUntil: 'networkidle2' });
+    const downloads = await checkPage(page, 'downloads', { map, saveDir });
+    reports.push(downloads);
+
+    // Without --song, the first purchased song is checked.
+    const url = songUrl || await page.$eval(map.downloads.songCell, (cell, linkSelector) => cell.querySelector(linkSelector)?.href, map.downloads.songLink)
+        .catch(() => null);
+    if (!url) {
+        reports.push(notChecked('song', null, 'failed', 'No song was found on the "My Downloads" page; pass one with --song <url>.'));
+        return reports;
+    }
+    log.info(`Checking the song page ${url}...`);
+    await page.goto(url, { waitUntil: 'networkidle2' });
+    reports.push(await checkPage(page, 'song', { map, saveDir }));
+    return reports;
+}
+
+/**
+ * Checks the selectors on every page, either on the live site or on saved copies.
+ * @param {import('puppeteer').Page} page
+ * @param {object} options
+ * @param {string} [options.fixturesDir] Check the saved pages of this folder instead of the live site.
+ * @param {{email: string, password: string, visible?: boolean}} [options.account] Needed for the live site.
+ * @param {string} [options.songUrl] The song page to check; the first purchased song by default.
+ * @param {string} [options.saveDir] Save the live pages there, for --fixtures.
+ * @returns {Promise<{ok: boolean, pages: object[]}>}
+ */
+async function runDoctor(page, { fixturesDir, account, songUrl, saveDir, map = selectors() }) {
+    const pages = fixturesDir
+        ? await checkFixtures(page, fixturesDir, map)
+        : await checkLiveSite(page, { account, songUrl, saveDir, map });
+    const ok = pages.every(report => report.status !== 'failed'
+        && report.checks.every(check => check.status === 'ok' || check.status === 'not-shown'));
+    return { ok, pages };
+}
+
+const CHECK_MARKS = { ok: '✓', 'not-shown': '·', missing: '❌', invalid: '❌' };
+
+// The report is the result of the command, not a log message: it always goes to stdout.
+function printDoctorReport({ ok, pages }) {
+    const lines = [];
+    for (const report of pages) {
+        lines.push('', `${PAGE_TITLES[report.page]}${report.url ? ` (${report.url})` : ''}:`);
+        if (report.status !== 'checked') {
+            lines.push(`  ${report.status === 'failed' ? '❌' : '-'} Not checked: ${report.reason}`);
+            continue;
+        }
+        const width = Math.max(...report.checks.map(check => check.name.length));
+        for (const check of report.checks) {
+            const details = {
+                ok: `${check.count} match${check.count === 1 ? '' : 'es'}`,
+                'not-shown': 'optional, not on the page',
+                missing: 'NO MATCH',
+                invalid: `invalid selector: ${check.error}`,
+            }[check.status];
+            const overridden = check.overridden ? ', overridden in config.json' : '';
+            lines.push(`  ${CHECK_MARKS[check.status]} ${check.name.padEnd(width)}  ${check.selector}  (${details}${overridden})`);
+        }
+    }
+    lines.push('', ok
+        ? '✅ All selectors match.'
+        : '⚠️  Some selectors no longer match. Fix them under "selectors" in config.json, see the README.');
+    process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+module.exports = { PAGE_CHECKS, FIXTURE_FILES, serveFixtures, checkPage, runDoctor, printDoctorReport };
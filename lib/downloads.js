@@ -0,0 +1,200 @@
+// lib/downloads.js
+// Follows the browser's downloads through the DevTools protocol instead of watching the download folder.
+//
+// Files are saved under their download GUID ('allowAndName'), so nothing else showing up in the folder
+// can be mistaken for a track, and Chrome only reports a download as completed once the file is fully written.
+// The staging folder is a setting of the whole browser, so every tab shares it (see KaraokeVersionClient, which
+// keeps all the running downloads in one download folder); each finished download is then moved to its song folder.
+const path = require('path');
+const fs = require('fs');
+const { log } = require('./logger');
+
+const STAGING_FOLDER = '.downloads';
+
+// Chrome's download GUIDs, e.g. "8c5c3a5e-3b2f-4a0e-9f3e-2d7b0c1f4e6a".
+const GUID_FILE_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(\.crdownload)?$/i;
+
+// One tracker per browser, shared by its tabs. Downloads are told apart by the frame that started them.
+const trackers = new WeakMap(); // browser -> Promise of the tracker
+
+/**
+ * Starts following the downloads of the page's tab. Downloads are saved to `stagingDir` first.
+ * @param {import('puppeteer').Page} page
+ * @param {string} stagingDir Must be on the same disk as the song folders, so files can be moved by renaming.
+ * @returns {Promise<{nextDownload: Function}>}
+ */
+async function trackDownloads(page, stagingDir) {
+    const browser = page.browser();
+    let tracker = trackers.get(browser);
+    if (!tracker) {
+        tracker = createTracker(browser);
+        trackers.set(browser, tracker);
+    }
+    await (await tracker).setStagingDir(stagingDir);
+    // The frame the download button is clicked in, as Browser.downloadWillBegin reports it.
+    const frameId = await mainFrameId(page);
+    return { nextDownload: async options => (await tracker).nextDownload(frameId, options) };
+}
+
+// The DevTools id of the tab's main frame. Puppeteer has no public accessor for it, so the tab is asked
+// through a session of its own.
+async function mainFrameId(page) {
+    const session = await page.createCDPSession();
+    try {
+        const { frameTree } = await session.send('Page.getFrameTree');
+        return frameTree.frame.id;
+    } finally {
+        await session.detach().catch(() => {});
+    }
+}
+
+async function createTracker(browser) {
+    const session = await browser.target().createCDPSession();
+    const downloads = new Map(); // guid -> download, for downloads someone is waiting for
+    let waiting = [];
+    let downloadPath = null;
+
+    session.on('Browser.downloadWillBegin', event => {
+        // The first tab waiting for a download from this frame gets it.
+        const waiter = waiting.find(candidate => candidate.frameId === event.frameId);
+        if (!waiter) return; // Not one of ours, e.g. started by hand in a visible browser
+        waiting = waiting.filter(candidate => candidate !== waiter);
+        const download = {
+            guid: event.guid,
+            url: event.url,
+            suggestedFilename: event.suggestedFilename,
+            receivedBytes: 0,
+            totalBytes: 0,
+            startedAt: Date.now(),
+            waiter,
+        };
+        downloads.set(event.guid, download);
+        log.debug(`Download ${event.guid} started: ${event.suggestedFilename} (${event.url})`);
+        waiter.begin(download);
+    });
+
+    session.on('Browser.downloadProgress', event => {
+        const download = downloads.get(event.guid);
+        if (!download) return;
+        download.receivedBytes = event.receivedBytes;
+        download.totalBytes = event.totalBytes;
+        download.waiter.progress(download, event.state);
+        if (event.state !== 'inProgress') {
+            log.debug(`Download ${event.guid} ${event.state} after ${event.receivedBytes} bytes.`);
+            downloads.delete(event.guid);
+        }
+    });
+
+    const setStagingDir = async stagingDir => {
+        if (stagingDir === downloadPath) return;
+        fs.mkdirSync(stagingDir, { recursive: true });
+        removeStaleDownloads(stagingDir);
+        await session.send('Browser.setDownloadBehavior', { behavior: 'allowAndName', downloadPath: stagingDir, eventsEnabled: true });
+        downloadPath = stagingDir;
+    };
+
+    // Removes whatever Chrome left of a download that did not complete.
+    const removePartialFile = guid => {
+        for (const file of [guid, `${guid}.crdownload`]) {
+            fs.rmSync(path.join(downloadPath, file), { force: true });
+        }
+    };
+
+    /**
+     * Waits for the next download started in the frame. Call it before clicking, so a fast download isn't missed.
+     * The wait times out when nothing happens (no download starting, no bytes received) for `timeout` ms.
+     * @param {string} frameId
+     * @param {object} options
+     * @param {number} options.timeout
+     * @param {function({receivedBytes: number, totalBytes: number, bytesPerSecond: number}): void} [options.onProgress]
+     * @param {AbortSignal} [options.signal] Stops waiting, e.g. when the click failed, and cancels a download
+     *     already started; the wait then ends as 'canceled'.
+     * @returns {Promise<{status: 'completed'|'canceled'|'timeout', filePath?: string, suggestedFilename?: string}>}
+     */
+    const nextDownload = (frameId, { timeout, onProgress, signal }) => new Promise(resolve => {
+        let timer;
+        let current = null;
+        let finished = false;
+        const finish = outcome => {
+            finished = true;
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', abort);
+            waiting = waiting.filter(candidate => candidate !== waiter);
+            resolve(outcome);
+        };
+        // Gives up the download started for us, if any, so it neither goes on in the background nor
+        // leaves a partial file behind.
+        const stopCurrent = async () => {
+            if (!current) return;
+            downloads.delete(current.guid);
+            await session.send('Browser.cancelDownload', { guid: current.guid }).catch(() => {});
+            removePartialFile(current.guid);
+        };
+        const abort = async () => {
+            if (finished) return;
+            finish({ status: 'canceled' });
+            await stopCurrent();
+        };
+        const resetTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(async () => {
+                await stopCurrent();
+                finish({ status: 'timeout' });
+            }, timeout);
+        };
+        const waiter = {
+            frameId,
+            begin: download => {
+                current = download;
+                resetTimer();
+            },
+            progress: (download, state) => {
+                resetTimer();
+                if (onProgress) {
+                    const seconds = (Date.now() - download.startedAt) / 1000;
+                    onProgress({
+                        receivedBytes: download.receivedBytes,
+                        totalBytes: download.totalBytes,
+                        bytesPerSecond: seconds > 0 ? download.receivedBytes / seconds : 0,
+                    });
+                }
+                if (state === 'completed') {
+                    finish({ status: 'completed', filePath: path.join(downloadPath, download.guid), suggestedFilename: download.suggestedFilename });
+                } else if (state === 'canceled') {
+                    removePartialFile(download.guid);
+                    finish({ status: 'canceled', suggestedFilename: download.suggestedFilename });
+                }
+            },
+        };
+        if (signal && signal.aborted) {
+            resolve({ status: 'canceled' });
+            return;
+        }
+        if (signal) signal.addEventListener('abort', abort);
+        waiting.push(waiter);
+        resetTimer();
+    });
+
+    return { setStagingDir, nextDownload };
+}
+
+// Removes partial downloads left behind by an interrupted run, they would never complete.
+function removeStaleDownloads(downloadPath) {
+    fs.readdirSync(downloadPath)
+        .filter(file => file.endsWith('.crdownload') || GUID_FILE_PATTERN.test(file))
+        .forEach(file => fs.unlinkSync(path.join(downloadPath, file)));
+}
+
+// "3.4 MB", "850 KB"
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+// "1.2 MB of 3.4 MB @ 850 KB/s", for the progress bar.
+function formatTransfer({ receivedBytes, totalBytes, bytesPerSecond }) {
+    const size = totalBytes > 0 ? `${formatBytes(receivedBytes)} of ${formatBytes(totalBytes)}` : formatBytes(receivedBytes);
+    return `${size} @ ${formatBytes(bytesPerSecond)}/s`;
+}
+
+module.exports = { STAGING_FOLDER, trackDownloads, removeStaleDownloads, formatBytes, formatTransfer };
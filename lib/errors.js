@@ -0,0 +1,44 @@
+// lib/errors.js
+
+// Process exit codes, so shell scripts and cron jobs can tell failures apart.
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1, // Unexpected error (browser crash, site unreachable, ...)
+    USAGE: 2, // Bad command line arguments
+    AUTH: 3, // Missing or rejected credentials
+    INCOMPLETE: 4, // The run finished, but some songs or tracks were not downloaded (or doctor/verify found problems)
+};
+
+class DownloaderError extends Error {
+    constructor(message, exitCode = EXIT_CODES.ERROR) {
+        super(message);
+        this.name = this.constructor.name;
+        this.exitCode = exitCode;
+    }
+}
+
+// Thrown when a track can't be downloaded, even after retrying, and the timeout policy is 'fail'.
+class TrackTimeoutError extends DownloaderError {
+    constructor(trackName, reason = 'the download timed out') {
+        super(`Download for "${trackName}" failed: ${reason}.`, EXIT_CODES.INCOMPLETE);
+        this.trackName = trackName;
+        this.reason = reason;
+    }
+}
+
+// Thrown when logging in fails. `reason` is one of 'invalid-credentials', 'captcha', 'timeout' or 'unknown'.
+class LoginError extends DownloaderError {
+    constructor(reason, message) {
+        super(message, EXIT_CODES.AUTH);
+        this.reason = reason;
+    }
+}
+
+// Thrown when the site sends us back to the login page in the middle of a run.
+class SessionExpiredError extends DownloaderError {
+    constructor() {
+        super('The session expired, the site is asking to log in again.', EXIT_CODES.AUTH);
+    }
+}
+
+module.exports = { EXIT_CODES, DownloaderError, TrackTimeoutError, LoginError, SessionExpiredError };
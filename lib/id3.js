@@ -0,0 +1,74 @@
+// lib/id3.js
+// A minimal ID3v2.3 tag writer: replaces the tag at the start of an MP3 file with our own.
+// Text is stored as UTF-16 with a byte order mark, which every player reads, accents and all.
+const fs = require('fs');
+
+// ID3 sizes are "syncsafe": 7 bits per byte, so the tag never contains an MPEG sync pattern.
+function encodeSyncsafe(size) {
+    return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+function decodeSyncsafe(buffer, offset) {
+    return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+const ENCODING_UTF16 = 1;
+
+function utf16(text, terminated = false) {
+    const bom = Buffer.from([0xff, 0xfe]);
+    const body = Buffer.from(text, 'utf16le');
+    return Buffer.concat(terminated ? [bom, body, Buffer.alloc(2)] : [bom, body]);
+}
+
+function frame(id, data) {
+    const header = Buffer.alloc(10);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32BE(data.length, 4); // ID3v2.3 frame sizes are plain integers
+    return Buffer.concat([header, data]);
+}
+
+function textFrame(id, text) {
+    return frame(id, Buffer.concat([Buffer.from([ENCODING_UTF16]), utf16(text)]));
+}
+
+function commentFrame(text) {
+    // Encoding, language, empty description (terminated), then the comment itself.
+    return frame('COMM', Buffer.concat([Buffer.from([ENCODING_UTF16]), Buffer.from('eng', 'latin1'), utf16('', true), utf16(text)]));
+}
+
+/**
+ * Builds an ID3v2.3 tag.
+ * @param {{title?: string, album?: string, artist?: string, albumArtist?: string, track?: number, total?: number, comment?: string}} tags
+ * @returns {Buffer}
+ */
+function buildTag(tags) {
+    const frames = [];
+    if (tags.title) frames.push(textFrame('TIT2', tags.title));
+    if (tags.album) frames.push(textFrame('TALB', tags.album));
+    if (tags.artist) frames.push(textFrame('TPE1', tags.artist));
+    if (tags.albumArtist) frames.push(textFrame('TPE2', tags.albumArtist));
+    if (tags.track) frames.push(textFrame('TRCK', tags.total ? `${tags.track}/${tags.total}` : String(tags.track)));
+    if (tags.comment) frames.push(commentFrame(tags.comment));
+
+    const body = Buffer.concat(frames);
+    const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([3, 0, 0]), encodeSyncsafe(body.length)]);
+    return Buffer.concat([header, body]);
+}
+
+// The length of the ID3v2 tag at the start of a file (0 if there is none), footer included.
+function existingTagLength(buffer) {
+    if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+    return 10 + decodeSyncsafe(buffer, 6) + (hasFooter ? 10 : 0);
+}
+
+/** Replaces the ID3v2 tag of an MP3 file. The audio itself is left untouched. */
+function writeTags(filePath, tags) {
+    const data = fs.readFileSync(filePath);
+    const audio = data.subarray(existingTagLength(data));
+    const tempPath = `${filePath}.tagging`;
+    fs.writeFileSync(tempPath, Buffer.concat([buildTag(tags), audio]));
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { buildTag, existingTagLength, writeTags };
@@ -0,0 +1,153 @@
+// lib/integrity.js
+// Checks that a downloaded file really is a whole MP3: the site has been seen to hand out error pages and
+// cut-off files under an .mp3 name, and the browser reports those as completed downloads.
+//
+// A file is checked on its own (its size, its MPEG frames, no garbage between them), then against the other
+// files of its song: every stem and mix of a song has the same length, so a much shorter one was truncated.
+// A stem without any sound is only flagged, as some tracks are legitimately silent (an unused click track).
+const fs = require('fs');
+const path = require('path');
+const { analyzeMp3 } = require('./mp3');
+
+// Smaller than this is an error page or an empty file, not a song.
+const MIN_FILE_BYTES = 16 * 1024;
+const MIN_DURATION_SECONDS = 1;
+// Bytes that are not audio, such as a cut-off last frame, allowed in proportion to the audio.
+const MAX_JUNK_RATIO = 0.01;
+// How far a file's duration may be from the others of the same song: whichever is larger.
+const DURATION_TOLERANCE_SECONDS = 2;
+const DURATION_TOLERANCE_RATIO = 0.02;
+// A file counts as silent when at least this share of its frames carry no audio data.
+const SILENT_FRAME_RATIO = 0.99;
+
+// Reads `count` bits starting `bit` bits into the buffer.
+function readBits(buffer, bit, count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+        const position = bit + i;
+        value = (value << 1) | ((buffer[position >> 3] >> (7 - (position & 7))) & 1);
+    }
+    return value;
+}
+
+/**
+ * Whether a Layer III frame is silent: the side information of every granule and channel says it has no
+ * Huffman-coded data (part2_3_length of 0), which is how encoders store digital silence. Frames of other
+ * layers are never counted as silent.
+ */
+function isSilentFrame(buffer, header, offset) {
+    if (header.layer !== 3) return false;
+    const mpeg1 = header.version === 1;
+    const hasCrc = (buffer[offset + 1] & 0x01) === 0;
+    const granules = mpeg1 ? 2 : 1;
+    // main_data_begin, private bits and (MPEG-1 only) scfsi come before the granules.
+    const preamble = mpeg1 ? 9 + (header.channels === 1 ? 5 : 3) + 4 * header.channels : 8 + header.channels;
+    const granuleBits = mpeg1 ? 59 : 63;
+    const sideInfoStart = (offset + 4 + (hasCrc ? 2 : 0)) * 8;
+    if ((sideInfoStart + preamble + granules * header.channels * granuleBits) / 8 > buffer.length) return false;
+
+    for (let i = 0; i < granules * header.channels; i++) {
+        if (readBits(buffer, sideInfoStart + preamble + i * granuleBits, 12) !== 0) return false;
+    }
+    return true;
+}
+
+/**
+ * Checks one file on its own.
+ * @param {string} filePath
+ * @returns {{file: string, size: number, duration: number, silent: boolean, problems: string[]}}
+ *   `problems` is empty for a good file.
+ */
+function checkMp3File(filePath) {
+    const result = { file: path.basename(filePath), size: 0, duration: 0, silent: false, problems: [] };
+    const buffer = fs.readFileSync(filePath);
+    result.size = buffer.length;
+
+    const start = buffer.subarray(0, 512).toString('latin1').trimStart().toLowerCase();
+    if (start.startsWith('<!doctype') || start.startsWith('<html') || start.startsWith('<?xml') || start.startsWith('{')) {
+        result.problems.push('it is a web page or an error message, not an MP3');
+        return result;
+    }
+    if (buffer.length < MIN_FILE_BYTES) {
+        result.problems.push(`it is only ${buffer.length} bytes`);
+        return result;
+    }
+
+    let silentFrames = 0;
+    const mp3 = analyzeMp3(buffer, {
+        onFrame: (data, header, offset) => {
+            if (isSilentFrame(data, header, offset)) silentFrames++;
+        },
+    });
+    result.duration = mp3.duration;
+    if (mp3.frameCount === 0) {
+        result.problems.push('it has no MP3 audio frames');
+        return result;
+    }
+    if (mp3.duration < MIN_DURATION_SECONDS) result.problems.push(`it only lasts ${mp3.duration.toFixed(2)}s`);
+    if (mp3.junkBytes > mp3.audioBytes * MAX_JUNK_RATIO) {
+        result.problems.push(`${mp3.junkBytes} bytes of it are not audio, it is cut off or damaged`);
+    }
+    result.silent = silentFrames >= mp3.frameCount * SILENT_FRAME_RATIO;
+    return result;
+}
+
+const formatDuration = seconds => `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+
+/**
+ * Compares the durations of the files of one song that share a tempo, adding a problem to each file
+ * that is too far from the others. The reference is the median, or the longer of two files: a truncated
+ * file is shorter, never longer.
+ * @param {Array<{duration: number, problems: string[]}>} results Checked with checkMp3File.
+ * @returns {number|null} The reference duration, or null with fewer than two files to compare.
+ */
+function compareDurations(results) {
+    const comparable = results.filter(result => result.duration > 0);
+    if (comparable.length < 2) return null;
+    const sorted = comparable.map(result => result.duration).sort((a, b) => a - b);
+    const reference = sorted[Math.floor(sorted.length / 2)];
+    const tolerance = Math.max(DURATION_TOLERANCE_SECONDS, reference * DURATION_TOLERANCE_RATIO);
+    for (const result of comparable) {
+        if (Math.abs(result.duration - reference) > tolerance) {
+            result.problems.push(`it lasts ${formatDuration(result.duration)} while the other tracks last ${formatDuration(reference)}`);
+        }
+    }
+    return reference;
+}
+
+/**
+ * Checks the MP3 files of a song folder, on their own and against each other. Files in different tempos
+ * have different lengths, so they are only compared within their tempo, as recorded in song.json.
+ * @param {string} songFolderPath
+ * @param {object} [options]
+ * @param {string[]} [options.files] Only these files; every .mp3 of the folder by default.
+ * @param {Array<{file: string, tempo?: number}>} [options.recorded] The files of song.json.
+ * @returns {Array<{file: string, size: number, duration: number, silent: boolean, problems: string[]}>}
+ */
+function checkSongFiles(songFolderPath, { files, recorded = [] } = {}) {
+    const names = files || fs.readdirSync(songFolderPath).filter(name => /\.mp3$/i.test(name)).sort();
+    const results = names
+        .filter(name => fs.existsSync(path.join(songFolderPath, name)))
+        .map(name => checkMp3File(path.join(songFolderPath, name)));
+
+    const tempoOf = result => {
+        const entry = recorded.find(candidate => candidate.file === result.file);
+        return entry && entry.tempo !== undefined ? entry.tempo : 100;
+    };
+    const byTempo = new Map();
+    for (const result of results.filter(candidate => candidate.problems.length === 0)) {
+        const tempo = tempoOf(result);
+        if (!byTempo.has(tempo)) byTempo.set(tempo, []);
+        byTempo.get(tempo).push(result);
+    }
+    byTempo.forEach(compareDurations);
+    return results;
+}
+
+module.exports = {
+    MIN_FILE_BYTES,
+    isSilentFrame,
+    checkMp3File,
+    compareDurations,
+    checkSongFiles,
+};
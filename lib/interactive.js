@@ -0,0 +1,435 @@
+// lib/interactive.js
+// The menu-driven mode used when the downloader is started without a subcommand.
+const inquirer = require('inquirer');
+const { loadConfig, saveConfig, runSettings } = require('./config');
+const { DownloaderError, LoginError } = require('./errors');
+const {
+    hasStoredCredentials,
+    loadStoredCredentials,
+    saveStoredCredentials,
+    readCredentialsFile,
+    plaintextCredentials,
+    migratePlaintextCredentials,
+} = require('./credentials');
+const { browserOptions, createProgressBar } = require('./site');
+const { KaraokeVersionClient } = require('./client');
+const {
+    createQueue,
+    loadQueue,
+    saveQueue,
+    clearQueue,
+    remainingSongs,
+    readUrlsFromFile,
+    runQueue,
+    printQueueSummary,
+    saveFailureReport,
+} = require('./queue');
+const { presetNames, resolveMixes } = require('./mixes');
+const { DEFAULT_VARIANT, parseVariantSpec } = require('./variants');
+const { projectsFromConfig } = require('./projects');
+const { namingFromOptions } = require('./naming');
+const { log, forwardLogs } = require('./logger');
+const { captureDebugBundle } = require('./debug');
+const { STATUS_LEGEND, annotateSongs, filterSongs, songChoices } = require('./picker');
+
+inquirer.registerPrompt('autocomplete', require('inquirer-autocomplete-prompt'));
+
+async function askNewPassphrase() {
+    const { passphrase } = await inquirer.prompt([
+        {
+            type: 'password',
+            name: 'passphrase',
+            message: 'Choose a master passphrase:',
+            mask: '*',
+            validate: input => input.length > 0 || 'The passphrase cannot be empty.',
+        },
+        {
+            type: 'password',
+            name: 'confirmation',
+            message: 'Repeat the master passphrase:',
+            mask: '*',
+            validate: (input, answers) => input === answers.passphrase || 'The passphrases do not match.',
+        },
+    ]);
+    return passphrase;
+}
+
+/**
+ * Finds the saved credentials, prompting for the master passphrase when they are encrypted.
+ * `external` is true when they come from the environment or a credentials file, which are never saved.
+ * @returns {Promise<{credentials: {email?: string, password?: string}, passphrase: string|null, external: boolean}>}
+ */
+async function unlockCredentials(options) {
+    if (process.env.KV_EMAIL && process.env.KV_PASSWORD) {
+        return { credentials: { email: process.env.KV_EMAIL, password: process.env.KV_PASSWORD }, passphrase: null, external: true };
+    }
+    const credentialsFile = options.credentialsFile || process.env.KV_CREDENTIALS_FILE;
+    if (credentialsFile) {
+        return { credentials: readCredentialsFile(credentialsFile), passphrase: null, external: true };
+    }
+
+    if (plaintextCredentials()) {
+        log.info('🔒 Your credentials are saved in plain text in config.json. Choose a master passphrase to encrypt them.');
+        const passphrase = process.env.KV_PASSPHRASE || await askNewPassphrase();
+        return { credentials: migratePlaintextCredentials(passphrase), passphrase, external: false };
+    }
+
+    if (hasStoredCredentials()) {
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            const passphrase = attempt === 1 && process.env.KV_PASSPHRASE ? process.env.KV_PASSPHRASE : (await inquirer.prompt({
+                type: 'password',
+                name: 'passphrase',
+                message: 'Enter your master passphrase to unlock your saved credentials (leave empty to log in manually):',
+                mask: '*',
+            })).passphrase;
+            if (!passphrase) break;
+            try {
+                return { credentials: loadStoredCredentials(passphrase), passphrase, external: false };
+            } catch (error) {
+                if (!(error instanceof DownloaderError)) throw error;
+                log.info(`❌ ${error.message}`);
+            }
+        }
+    }
+    return { credentials: {}, passphrase: null, external: false };
+}
+
+// Saves changed credentials encrypted, asking for a passphrase when none was unlocked yet.
+async function storeCredentials({ email, password }, unlocked) {
+    if (unlocked.external) return;
+    if (unlocked.credentials.email === email && unlocked.credentials.password === password) return;
+
+    let passphrase = unlocked.passphrase;
+    if (!passphrase) {
+        const { save } = await inquirer.prompt({
+            type: 'confirm',
+            name: 'save',
+            message: 'Save your credentials, encrypted with a master passphrase, for next time?',
+            default: true,
+        });
+        if (!save) return;
+        passphrase = await askNewPassphrase();
+    }
+    saveStoredCredentials({ email, password }, passphrase);
+    log.info('🔒 Credentials saved (encrypted).');
+}
+
+async function askClickTrack(config) {
+    const { enableClickTrack } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'enableClickTrack',
+            message: "Enable 'Intro Click'?",
+            default: config.enableClickTrack !== false,
+        },
+    ]);
+    return enableClickTrack;
+}
+
+// When mix presets exist, lets the user pick them alongside (or instead of) the isolated stems.
+async function askDownloadSelection(config, songUrl) {
+    const names = presetNames(config, songUrl);
+    if (names.length === 0) return { stems: true, mixes: [] };
+
+    const { selection } = await inquirer.prompt({
+        type: 'checkbox',
+        name: 'selection',
+        message: 'What should be downloaded?',
+        choices: [
+            { name: 'Isolated stems (one file per track)', value: { stems: true }, checked: true },
+            ...names.map(name => ({ name: `Mix: ${name}`, value: { mix: name } })),
+        ],
+        validate: choices => choices.length > 0 || 'Select at least one item.',
+    });
+    return {
+        stems: selection.some(item => item.stems),
+        mixes: selection.filter(item => item.mix).map(item => item.mix),
+    };
+}
+
+// Asks for key/tempo variants, e.g. "-2st_90pct, +3st". Without any, the original key and tempo are used.
+async function askVariants() {
+    const { changePitch } = await inquirer.prompt({
+        type: 'confirm',
+        name: 'changePitch',
+        message: 'Change the key or tempo?',
+        default: false,
+    });
+    if (!changePitch) return [DEFAULT_VARIANT];
+
+    const { specs } = await inquirer.prompt({
+        type: 'input',
+        name: 'specs',
+        message: 'Variants, separated by commas (e.g. -2st, 90pct, -2st_90pct; "0st" for the original):',
+        validate: input => {
+            try {
+                return input.split(',').filter(spec => spec.trim()).map(spec => parseVariantSpec(spec.trim())).length > 0 || 'Enter at least one variant.';
+            } catch (error) {
+                return error.message;
+            }
+        },
+    });
+    return specs.split(',').filter(spec => spec.trim()).map(spec => parseVariantSpec(spec.trim()));
+}
+
+// The main menu: the songs matching what was typed, then the other actions.
+function mainMenuChoices(songs, query, onlyMissing) {
+    const matches = filterSongs(songs, query, { onlyMissing });
+    return [
+        new inquirer.Separator(onlyMissing ? '--- Songs Not Downloaded Yet ---' : '--- Select a Song to Download ---'),
+        ...(matches.length > 0 ? songChoices(matches, { grouped: !query.trim() }) : [new inquirer.Separator('(no song matches)')]),
+        new inquirer.Separator('---------------------------------'),
+        { name: onlyMissing ? 'Show all songs' : 'Show only songs not downloaded yet', value: 'filter' },
+        { name: 'Select multiple songs', value: 'batch' },
+        { name: 'Load song URLs from a file', value: 'file' },
+        { name: 'Refresh song list', value: 'refresh' },
+        { name: 'Enter a song URL manually', value: 'manual' },
+        { name: 'Exit', value: 'exit' },
+    ];
+}
+
+// Asked when a track still fails after its retries (the 'prompt' timeout policy).
+async function askFailureAction(trackName) {
+    const { choice } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'choice',
+            message: `What would you like to do for "${trackName}"?`,
+            choices: ['Retry', 'Skip'],
+        },
+    ]);
+    return choice === 'Skip' ? 'skip' : 'retry';
+}
+
+async function askAccount(defaults) {
+    return inquirer.prompt([
+        {
+            type: 'input',
+            name: 'email',
+            message: 'Enter your Karaoke-Version email:',
+            default: defaults.email,
+        },
+        {
+            type: 'password',
+            name: 'password',
+            message: 'Enter your password:',
+            mask: '*',
+            default: defaults.password,
+        },
+    ]);
+}
+
+// Runs a queue to the end and prints its summary. The state file is removed once nothing is left to resume.
+// The "concurrency" setting of config.json applies to batches, see the README.
+async function runBatch(client, queue) {
+    await runQueue(client, queue, {
+        onTimeout: 'prompt',
+        askFailureAction,
+        concurrency: runSettings().concurrency,
+    });
+    printQueueSummary(queue);
+    const reportPath = saveFailureReport(queue);
+    if (reportPath) log.info(`\n📄 Failure report saved to ${reportPath}`);
+    if (remainingSongs(queue).length === 0) clearQueue();
+}
+
+async function runInteractive(options) {
+    log.info('🎤 Karaoke Track Downloader 🎤\n');
+
+    const unlocked = await unlockCredentials(options);
+    let defaults = unlocked.credentials;
+    // Loaded after unlocking, which may have moved plaintext credentials out of config.json.
+    const config = loadConfig();
+    // Checked before the browser starts, a bad naming template in config.json would only show up at the first song.
+    const naming = namingFromOptions(config);
+
+    // The "rateLimit", "retries" and "retryDelay" settings of config.json apply to every download.
+    const { rateLimit, retryPolicy } = runSettings();
+    const client = new KaraokeVersionClient({
+        ...browserOptions(options),
+        downloadDir: options.output,
+        naming,
+        retryPolicy,
+        rateLimit,
+    });
+    forwardLogs(client);
+
+    try {
+        await client.open();
+
+        // --- LOGIN ---
+        // A refused password can be typed again; a captcha or a timeout ends the session.
+        let account;
+        while (!account) {
+            const { email, password } = await askAccount(defaults);
+            if (!email || !password) {
+                log.error('Email and password are required. Exiting.');
+                return;
+            }
+            try {
+                await client.login(email, password);
+                account = { email, password };
+            } catch (error) {
+                if (!(error instanceof LoginError) || error.reason !== 'invalid-credentials') throw error;
+                log.info(`\n❌ ${error.message} Please try again.\n`);
+                defaults = { email };
+            }
+        }
+
+        // Only credentials that actually logged in are worth saving.
+        await storeCredentials(account, unlocked);
+
+        // Fetch the list of purchased songs once after logging in
+        let purchasedSongs = await client.fetchPurchasedSongs();
+
+        // Offer to pick up a batch that was interrupted by a crash or Ctrl-C.
+        const unfinishedQueue = loadQueue();
+        if (unfinishedQueue && remainingSongs(unfinishedQueue).length > 0) {
+            const left = remainingSongs(unfinishedQueue).length;
+            const { resume } = await inquirer.prompt({
+                type: 'confirm',
+                name: 'resume',
+                message: `An interrupted queue has ${left} of ${unfinishedQueue.songs.length} songs left. Resume it now?`,
+                default: true,
+            });
+            if (resume) {
+                await runBatch(client, unfinishedQueue);
+            } else {
+                clearQueue();
+            }
+        }
+
+        // --- Main Application Loop ---
+        let onlyMissing = false;
+        while (true) {
+            log.info('\n' + '-'.repeat(50));
+
+            // Checked on every turn, so a song downloaded a moment ago is marked as such.
+            const annotatedSongs = annotateSongs(options.output, purchasedSongs);
+
+            const { action } = await inquirer.prompt({
+                type: 'autocomplete',
+                name: 'action',
+                message: `What would you like to do? Type to search your songs (${STATUS_LEGEND}):`,
+                source: (answers, input) => mainMenuChoices(annotatedSongs, input || '', onlyMissing),
+                pageSize: 15, // Show more items in the list
+            });
+
+            if (action === 'exit') {
+                log.info('Exiting...');
+                break;
+            }
+
+            if (action === 'filter') {
+                onlyMissing = !onlyMissing;
+                continue;
+            }
+
+            if (action === 'refresh') {
+                purchasedSongs = await client.fetchPurchasedSongs();
+                continue; // Go back to the main menu
+            }
+
+            if (action === 'batch' || action === 'file') {
+                let songs;
+                if (action === 'batch') {
+                    const { selected } = await inquirer.prompt({
+                        type: 'checkbox',
+                        name: 'selected',
+                        message: 'Select the songs to download (space to toggle, enter to confirm):',
+                        choices: songChoices(filterSongs(annotatedSongs, '', { onlyMissing }), { value: song => song }),
+                        pageSize: 15,
+                    });
+                    songs = selected.map(song => ({ url: song.url, name: song.name }));
+                } else {
+                    const { filePath } = await inquirer.prompt({
+                        type: 'input',
+                        name: 'filePath',
+                        message: 'Path to a text or CSV file with song URLs:',
+                    });
+                    try {
+                        songs = readUrlsFromFile(filePath.trim()).map(url => ({ url }));
+                    } catch (error) {
+                        log.info(`❌ ${error.message}`);
+                        continue;
+                    }
+                }
+
+                if (songs.length === 0) {
+                    log.info('No songs selected. Please try again.');
+                    continue; // Go back to the main menu
+                }
+
+                const enableClickTrack = await askClickTrack(config);
+                const { stems, mixes } = await askDownloadSelection(config, null);
+                const variants = await askVariants();
+                saveConfig({ ...config, enableClickTrack });
+
+                const queue = createQueue(songs, {
+                    enableClickTrack,
+                    downloadDir: options.output,
+                    naming,
+                    stems,
+                    mixes,
+                    variants,
+                    projects: projectsFromConfig(config),
+                });
+                saveQueue(queue);
+                await runBatch(client, queue);
+                continue;
+            }
+
+            let songUrl;
+            if (action === 'manual') {
+                const { newUrl } = await inquirer.prompt({
+                    type: 'input',
+                    name: 'newUrl',
+                    message: 'Enter the song URL:',
+                });
+                songUrl = newUrl;
+            } else {
+                songUrl = action; // The 'value' of the song choice is its URL
+            }
+
+            if (!songUrl) {
+                log.info('No URL provided. Please try again.');
+                continue; // Go back to the main menu
+            }
+
+            const enableClickTrack = await askClickTrack(config);
+            const { stems, mixes } = await askDownloadSelection(config, songUrl);
+            const variants = await askVariants();
+
+            // Save config for the next run
+            saveConfig({ ...config, songUrl, enableClickTrack });
+
+            const { success, songTitle } = await client.downloadSong(songUrl, {
+                enableClickTrack,
+                stems,
+                mixes: resolveMixes(mixes, songUrl),
+                variants,
+                projects: projectsFromConfig(config),
+                onTimeout: 'prompt',
+                askFailureAction,
+                progressBar: createProgressBar(),
+            });
+            if (success) {
+                log.info(`\n✅ Successfully downloaded all tracks for: "${songTitle}"`);
+            } else {
+                log.info(`\n❌ Finished processing "${songTitle}" with issues (see logs above). Ready for next song.`);
+            }
+        }
+    } catch (error) {
+        if (error instanceof DownloaderError) {
+            log.error(`\n❌ ${error.message}`);
+        } else {
+            log.error('\nAn unrecoverable error occurred:', error);
+        }
+        await captureDebugBundle(client.page, error, error.name);
+    } finally {
+        await client.close();
+        log.info('\n👋 Session ended. Goodbye!');
+    }
+}
+
+module.exports = { runInteractive };
@@ -0,0 +1,254 @@
+// lib/library.js
+// Keeps track of what has been downloaded, so a sync only fetches what is missing.
+//
+// Two files work together:
+//  - `library.json` at the root of the download folder maps each song URL to its folder and expected tracks.
+//  - `song.json` inside every song folder records the song URL, its tracks and every downloaded file with
+//    its size, SHA-256 checksum and download time. It travels with the folder, so a folder renamed by hand
+//    is found again by scanning for it.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { DEFAULT_VARIANT, isDefaultVariant, variantLabel } = require('./variants');
+const { writeJsonAtomic } = require('./util');
+
+const MANIFEST_FILE = 'library.json';
+const SONG_INFO_FILE = 'song.json';
+
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function loadManifest(downloadDir) {
+    const manifest = readJson(path.join(downloadDir, MANIFEST_FILE));
+    return manifest && manifest.songs ? manifest : { songs: {} };
+}
+
+function saveManifest(downloadDir, manifest) {
+    fs.mkdirSync(downloadDir, { recursive: true });
+    writeJsonAtomic(path.join(downloadDir, MANIFEST_FILE), manifest);
+}
+
+function readSongInfo(songFolderPath) {
+    return readJson(path.join(songFolderPath, SONG_INFO_FILE));
+}
+
+// Walks the download folder and returns a map of song URL -> folder (relative to downloadDir).
+function scanSongFolders(downloadDir) {
+    const folders = new Map();
+    const walk = relativeDir => {
+        const absoluteDir = path.join(downloadDir, relativeDir);
+        const info = relativeDir ? readSongInfo(absoluteDir) : null;
+        if (info && info.url) {
+            folders.set(info.url, relativeDir);
+            return; // Song folders don't contain other songs.
+        }
+        for (const entry of fs.readdirSync(absoluteDir, { withFileTypes: true })) {
+            if (entry.isDirectory()) walk(path.join(relativeDir, entry.name));
+        }
+    };
+    if (fs.existsSync(downloadDir)) walk('');
+    return folders;
+}
+
+function isSongFolder(downloadDir, folder, songUrl) {
+    const info = folder ? readSongInfo(path.join(downloadDir, folder)) : null;
+    return Boolean(info && info.url === songUrl);
+}
+
+/**
+ * Returns the folder (relative to downloadDir) a song was downloaded to, following renames, or null.
+ * The manifest is updated when the folder has moved.
+ */
+function findSongFolder(downloadDir, songUrl) {
+    const manifest = loadManifest(downloadDir);
+    const entry = manifest.songs[songUrl];
+    if (entry && isSongFolder(downloadDir, entry.folder, songUrl)) return entry.folder;
+
+    const folder = scanSongFolders(downloadDir).get(songUrl) || null;
+    if (entry && folder) {
+        entry.folder = folder;
+        saveManifest(downloadDir, manifest);
+    }
+    return folder;
+}
+
+/**
+ * Records a song's folder, the tracks of its mixer and the files that were asked for, both in the manifest
+ * and in the folder's own song.json. The files asked for add up over the runs: a run that only downloads
+ * a mix doesn't make the stems downloaded before unexpected.
+ * @param {string} downloadDir
+ * @param {string} songUrl
+ * @param {object} song
+ * @param {string} song.title
+ * @param {string} [song.artist]
+ * @param {string} song.folder
+ * @param {Array<{name: string, file: string}>} song.tracks The mixer's tracks, with the file of their stem.
+ * @param {Array<{name: string, file: string, kind: 'stem'|'mix', key: number, tempo: number}>} [song.requested]
+ *     The files this run downloads.
+ */
+function recordSong(downloadDir, songUrl, { title, artist, folder, tracks, requested = [] }) {
+    const manifest = loadManifest(downloadDir);
+    const songFolderPath = path.join(downloadDir, folder);
+    const info = readSongInfo(songFolderPath) || {};
+    const previous = (manifest.songs[songUrl] && manifest.songs[songUrl].requested) || info.requested || [];
+    const allRequested = [...previous.filter(file => !requested.some(other => other.file === file.file)), ...requested]
+        .sort((a, b) => a.file.localeCompare(b.file));
+
+    manifest.songs[songUrl] = { title, artist, folder, tracks, requested: allRequested, updatedAt: new Date().toISOString() };
+    saveManifest(downloadDir, manifest);
+    writeJsonAtomic(path.join(songFolderPath, SONG_INFO_FILE), { ...info, url: songUrl, title, artist, tracks, requested: allRequested });
+}
+
+// Follows a file renamed in a song folder in its song.json.
+function renameRecordedFile(songFolderPath, from, to) {
+    const info = readSongInfo(songFolderPath);
+    if (!info || !info.files) return;
+    const files = info.files.map(entry => (entry.file === from ? { ...entry, file: to } : entry))
+        .sort((a, b) => a.file.localeCompare(b.file));
+    writeJsonAtomic(path.join(songFolderPath, SONG_INFO_FILE), { ...info, files });
+}
+
+function fileChecksum(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Adds a downloaded file to the song folder's song.json, with its size, SHA-256 checksum and download time.
+ * A file already listed with the same size keeps its entry, so existing files aren't hashed on every run.
+ * @param {string} songFolderPath
+ * @param {{file: string, name: string, kind: 'stem'|'mix', index?: number, key: number, tempo: number}} entry
+ *     `index` is a stem's position in the mixer, from 1.
+ */
+function recordFile(songFolderPath, { file, ...details }) {
+    const info = readSongInfo(songFolderPath) || {};
+    const files = info.files || [];
+    const filePath = path.join(songFolderPath, file);
+    const stats = fs.statSync(filePath);
+    const previous = files.find(existing => existing.file === file);
+
+    const entry = previous && previous.size === stats.size && previous.sha256
+        ? { ...previous, ...details }
+        : { file, ...details, size: stats.size, sha256: fileChecksum(filePath), downloadedAt: stats.mtime.toISOString() };
+
+    const updatedFiles = [...files.filter(existing => existing.file !== file), entry]
+        .sort((a, b) => a.file.localeCompare(b.file));
+    writeJsonAtomic(path.join(songFolderPath, SONG_INFO_FILE), { ...info, files: updatedFiles });
+}
+
+// The files a run with these settings downloads, as `{name, kind, variant}`; a song's stems are its mixer's
+// tracks, and every variant has files of its own.
+function wantedFiles(entry, { stems = true, mixes = [], variants = [DEFAULT_VARIANT] }) {
+    return variants.flatMap(variant => [
+        ...(stems ? entry.tracks.map((track, i) => ({ name: track.name, index: i + 1, kind: 'stem', variant })) : []),
+        ...mixes.map(name => ({ name, kind: 'mix', variant })),
+    ]);
+}
+
+// Whether a file made with these settings is on disk. Files are found through what song.json recorded
+// about them, so their names don't have to be worked out again; the stems recorded before song.json
+// listed its files only have the file name of the track list.
+function hasWantedFile(downloadDir, entry, info, wanted) {
+    const onDisk = file => fs.existsSync(path.join(downloadDir, entry.folder, file));
+    const known = [...(entry.requested || []), ...((info && info.files) || [])];
+    const matches = known.filter(file => (file.kind || 'stem') === wanted.kind
+        && (wanted.kind === 'stem' && file.index !== undefined ? file.index === wanted.index : file.name === wanted.name)
+        && (file.key === undefined ? DEFAULT_VARIANT.key : file.key) === wanted.variant.key
+        && (file.tempo === undefined ? DEFAULT_VARIANT.tempo : file.tempo) === wanted.variant.tempo);
+    if (matches.some(file => onDisk(file.file))) return true;
+    return wanted.kind === 'stem' && isDefaultVariant(wanted.variant) && onDisk(entry.tracks[wanted.index - 1].file);
+}
+
+// "Bass", or "Bass -2st_90pct" for a file in another key or tempo.
+function fileLabel(name, { key = DEFAULT_VARIANT.key, tempo = DEFAULT_VARIANT.tempo }) {
+    const label = variantLabel({ key, tempo });
+    return label ? `${name} ${label}` : name;
+}
+
+/**
+ * Compares a manifest entry with what is on disk.
+ * @param {string} downloadDir
+ * @param {object} entry
+ * @param {{stems?: boolean, mixes?: string[], variants?: Array<{key: number, tempo: number}>}} [settings] What a
+ *     run would download (the mixes by name).
+ *     Without it, the song is compared against every file asked for so far.
+ * @returns {{status: 'new'|'partial'|'complete', missingTracks: string[]}}
+ */
+function songStatus(downloadDir, entry, settings) {
+    if (!entry || !entry.folder || !fs.existsSync(path.join(downloadDir, entry.folder))) {
+        return { status: 'new', missingTracks: [] };
+    }
+    // Without a track list we can't tell what is missing, so the song has to be visited again.
+    if (!entry.tracks || entry.tracks.length === 0) {
+        return { status: 'partial', missingTracks: [] };
+    }
+    let missingTracks;
+    if (settings) {
+        const info = readSongInfo(path.join(downloadDir, entry.folder));
+        missingTracks = wantedFiles(entry, settings)
+            .filter(wanted => !hasWantedFile(downloadDir, entry, info, wanted))
+            .map(wanted => fileLabel(wanted.name, wanted.variant));
+    } else {
+        missingTracks = (entry.requested && entry.requested.length > 0 ? entry.requested : entry.tracks)
+            .filter(track => !fs.existsSync(path.join(downloadDir, entry.folder, track.file)))
+            .map(track => fileLabel(track.name, track));
+    }
+    return { status: missingTracks.length > 0 ? 'partial' : 'complete', missingTracks };
+}
+
+/**
+ * Matches the purchased songs against the download folder.
+ * Folders that were renamed since the last run are found through their song.json and the manifest is updated.
+ * @param {string} downloadDir
+ * @param {Array<{name: string, url: string}>} purchasedSongs As returned by fetchPurchasedSongs.
+ * @param {object} [settings] What a run would download, see songStatus.
+ */
+function reconcileLibrary(downloadDir, purchasedSongs, settings) {
+    const manifest = loadManifest(downloadDir);
+    const folders = scanSongFolders(downloadDir);
+    let changed = false;
+
+    const songs = purchasedSongs.map(song => {
+        const { url } = song;
+        let entry = manifest.songs[url];
+        const folder = folders.get(url);
+
+        if (folder && (!entry || entry.folder !== folder)) {
+            // Renamed folder, or a folder whose manifest entry was lost: trust the folder's song.json.
+            const info = readSongInfo(path.join(downloadDir, folder));
+            entry = {
+                ...entry,
+                title: (entry && entry.title) || info.title,
+                folder,
+                tracks: (entry && entry.tracks) || info.tracks || [],
+                requested: (entry && entry.requested) || info.requested || [],
+            };
+            manifest.songs[url] = entry;
+            changed = true;
+        }
+
+        return { url, name: song.name, folder: entry ? entry.folder : null, ...songStatus(downloadDir, entry, settings) };
+    });
+
+    if (changed) saveManifest(downloadDir, manifest);
+    return songs;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    SONG_INFO_FILE,
+    loadManifest,
+    scanSongFolders,
+    findSongFolder,
+    readSongInfo,
+    recordSong,
+    recordFile,
+    renameRecordedFile,
+    fileChecksum,
+    songStatus,
+    reconcileLibrary,
+};
@@ -0,0 +1,92 @@
+// lib/logger.js
+// Leveled logging for the whole application, as readable text or as one JSON object per line.
+// Messages are formatted like console.log, so `log.info('Found %d tracks', 3)` works too.
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_FORMATS = ['text', 'json'];
+
+const settings = {
+    level: 'info',
+    format: 'text',
+    stdout: process.stdout,
+    stderr: process.stderr,
+    sink: null, // Replaces the streams while set, see redirectLogs
+};
+// The sink of captureLogs, for the code running inside it.
+const captures = new AsyncLocalStorage();
+
+/**
+ * @param {object} options
+ * @param {'debug'|'info'|'warn'|'error'|'silent'} [options.level]
+ * @param {'text'|'json'} [options.format] JSON lines always go to stderr, so stdout stays usable for results.
+ * @param {NodeJS.WritableStream} [options.stdout] Where debug and info messages go in text format.
+ */
+function configureLogger({ level, format, stdout } = {}) {
+    if (level) settings.level = level;
+    if (format) settings.format = format;
+    if (stdout) settings.stdout = stdout;
+}
+
+function isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[settings.level];
+}
+
+function write(level, args) {
+    const capture = captures.getStore();
+    if (capture) {
+        // The sink runs outside the capture, so it can log the message itself.
+        captures.exit(() => capture(level, util.format(...args)));
+        return;
+    }
+    if (!isLevelEnabled(level)) return;
+    const message = util.format(...args);
+    if (settings.format === 'json') {
+        // Leading newlines only space out the text output.
+        const line = JSON.stringify({ time: new Date().toISOString(), level, message: message.trim() });
+        if (settings.sink) settings.sink(line, level);
+        else settings.stderr.write(`${line}\n`);
+        return;
+    }
+    if (settings.sink) settings.sink(message, level);
+    else (level === 'warn' || level === 'error' ? settings.stderr : settings.stdout).write(`${message}\n`);
+}
+
+const log = {
+    debug: (...args) => write('debug', args),
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+};
+
+/**
+ * Sends every log line to `sink(line, level)` instead of the streams, e.g. to print above progress bars.
+ * @returns {function(): void} Puts the previous output back.
+ */
+function redirectLogs(sink) {
+    const previous = settings.sink;
+    settings.sink = sink;
+    return () => {
+        settings.sink = previous;
+    };
+}
+
+/**
+ * Runs `fn` with every message it logs, including from the callbacks and timers it starts, sent to
+ * `sink(level, message)` whatever the level, and nothing printed. Lets lib/client.js report its messages as events.
+ * @template T
+ * @param {function(string, string): void} sink
+ * @param {function(): T} fn
+ * @returns {T}
+ */
+function captureLogs(sink, fn) {
+    return captures.run(sink, fn);
+}
+
+// Logs the 'log' events of a client (see lib/client.js) like the application's own messages.
+function forwardLogs(emitter) {
+    emitter.on('log', ({ level, message }) => log[level](message));
+}
+
+module.exports = { LOG_LEVELS, LOG_FORMATS, configureLogger, isLevelEnabled, redirectLogs, captureLogs, forwardLogs, log };
@@ -0,0 +1,126 @@
+// lib/mixes.js
+// Named mixes: a set of muted and/or soloed tracks, with optional per-track volumes.
+//
+// On the command line a mix is written as `Name=rule,rule,...`, where a rule is
+//   -Track      mute the track
+//   +Track      solo the track
+//   Track@80    set the track's volume to 80% of its slider
+// A bare `Name` refers to a preset saved in config.json, either under `songMixes[<song url>]`
+// (presets for one song) or under `mixes` (global presets). Song presets win.
+const { loadConfig } = require('./config');
+const { EXIT_CODES, DownloaderError } = require('./errors');
+
+function parseMixSpec(spec) {
+    const separator = spec.indexOf('=');
+    if (separator === -1) {
+        const name = spec.trim();
+        if (!name) throw new DownloaderError('A mix needs a name.', EXIT_CODES.USAGE);
+        return { name, preset: true };
+    }
+
+    const name = spec.slice(0, separator).trim();
+    if (!name) throw new DownloaderError(`The mix "${spec}" needs a name before "=".`, EXIT_CODES.USAGE);
+
+    const mix = { name, mute: [], solo: [], volume: {} };
+    for (const rawRule of spec.slice(separator + 1).split(',')) {
+        const rule = rawRule.trim();
+        if (!rule) continue;
+        if (rule.startsWith('-')) {
+            mix.mute.push(rule.slice(1).trim());
+        } else if (rule.startsWith('+')) {
+            mix.solo.push(rule.slice(1).trim());
+        } else if (/@\s*\d+(\.\d+)?$/.test(rule)) {
+            const at = rule.lastIndexOf('@');
+            mix.volume[rule.slice(0, at).trim()] = Number(rule.slice(at + 1));
+        } else {
+            throw new DownloaderError(
+                `Invalid rule "${rule}" in mix "${name}". Use -Track to mute, +Track to solo or Track@80 for a volume.`,
+                EXIT_CODES.USAGE
+            );
+        }
+    }
+    return normalizeMix(name, mix);
+}
+
+function normalizeMix(name, definition) {
+    const mix = {
+        name,
+        mute: definition.mute || [],
+        solo: definition.solo || [],
+        volume: definition.volume || {},
+    };
+    for (const [track, volume] of Object.entries(mix.volume)) {
+        if (typeof volume !== 'number' || volume < 0 || volume > 100) {
+            throw new DownloaderError(`The volume of "${track}" in mix "${name}" must be between 0 and 100.`, EXIT_CODES.USAGE);
+        }
+    }
+    if (mix.mute.length === 0 && mix.solo.length === 0 && Object.keys(mix.volume).length === 0) {
+        throw new DownloaderError(`The mix "${name}" does not change any track.`, EXIT_CODES.USAGE);
+    }
+    return mix;
+}
+
+/**
+ * Turns mix specs into mix definitions for one song, looking presets up in config.json.
+ * @param {string[]} specs
+ * @param {string} songUrl
+ * @returns {Array<{name: string, mute: string[], solo: string[], volume: Object<string, number>}>}
+ */
+function resolveMixes(specs = [], songUrl) {
+    if (specs.length === 0) return [];
+    const config = loadConfig();
+    const songPresets = (config.songMixes && config.songMixes[songUrl]) || {};
+    const globalPresets = config.mixes || {};
+
+    return specs.map(spec => {
+        const mix = parseMixSpec(spec);
+        if (!mix.preset) return mix;
+        const preset = songPresets[mix.name] || globalPresets[mix.name];
+        if (!preset) {
+            throw new DownloaderError(`There is no mix preset called "${mix.name}" in config.json.`, EXIT_CODES.USAGE);
+        }
+        return normalizeMix(mix.name, preset);
+    });
+}
+
+/**
+ * Checks mix specs before a run starts, so a typo doesn't fail every song of a queue.
+ * Preset names must exist globally or for at least one song.
+ */
+function validateMixSpecs(specs = []) {
+    const config = loadConfig();
+    const known = new Set([
+        ...Object.keys(config.mixes || {}),
+        ...Object.values(config.songMixes || {}).flatMap(presets => Object.keys(presets)),
+    ]);
+    for (const spec of specs) {
+        const mix = parseMixSpec(spec);
+        if (mix.preset && !known.has(mix.name)) {
+            throw new DownloaderError(`There is no mix preset called "${mix.name}" in config.json.`, EXIT_CODES.USAGE);
+        }
+    }
+}
+
+// Names of the presets available for a song, song presets first.
+function presetNames(config, songUrl) {
+    const songPresets = Object.keys((config.songMixes && config.songMixes[songUrl]) || {});
+    const globalPresets = Object.keys(config.mixes || {}).filter(name => !songPresets.includes(name));
+    return [...songPresets, ...globalPresets];
+}
+
+/**
+ * Finds the mixer track a rule refers to: an exact (case-insensitive) caption match first,
+ * then a caption containing the name if exactly one does.
+ * @returns {number} The track index, or -1.
+ */
+function findTrackIndex(trackNames, name) {
+    const wanted = name.toLowerCase();
+    const exact = trackNames.findIndex(trackName => trackName.toLowerCase() === wanted);
+    if (exact !== -1) return exact;
+    const partial = trackNames
+        .map((trackName, index) => (trackName.toLowerCase().includes(wanted) ? index : -1))
+        .filter(index => index !== -1);
+    return partial.length === 1 ? partial[0] : -1;
+}
+
+module.exports = { parseMixSpec, validateMixSpecs, resolveMixes, presetNames, findTrackIndex };
@@ -0,0 +1,129 @@
+// lib/mp3.js
+// Reads the structure of an MP3 file by walking its MPEG audio frames, without decoding the audio.
+const fs = require('fs');
+const { existingTagLength } = require('./id3');
+
+// Bitrates in kbit/s, indexed by the 4-bit bitrate index of the frame header.
+const BITRATES = {
+    '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+const SAMPLE_RATES = {
+    1: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    2.5: [11025, 12000, 8000],
+};
+
+/**
+ * Parses the 4-byte MPEG audio frame header at `offset`.
+ * @returns {{version: number, layer: number, bitrate: number, sampleRate: number, channels: number,
+ *            frameLength: number, samples: number}|null} null when there is no valid header there.
+ */
+function parseFrameHeader(buffer, offset) {
+    if (offset + 4 > buffer.length) return null;
+    const b1 = buffer[offset + 1];
+    const b2 = buffer[offset + 2];
+    const b3 = buffer[offset + 3];
+    if (buffer[offset] !== 0xff || (b1 & 0xe0) !== 0xe0) return null;
+
+    const versionBits = (b1 >> 3) & 0x03;
+    const layerBits = (b1 >> 1) & 0x03;
+    const bitrateIndex = (b2 >> 4) & 0x0f;
+    const sampleRateIndex = (b2 >> 2) & 0x03;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null; // Reserved values, or "free format" which no encoder we care about produces
+    }
+
+    const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+    const layer = 4 - layerBits;
+    const bitrate = BITRATES[`${version === 1 ? 1 : 2}-${layer}`][bitrateIndex] * 1000;
+    const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+    const padding = (b2 >> 1) & 0x01;
+    const channels = ((b3 >> 6) & 0x03) === 3 ? 1 : 2;
+
+    let samples;
+    let frameLength;
+    if (layer === 1) {
+        samples = 384;
+        frameLength = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+    } else {
+        samples = layer === 3 && version !== 1 ? 576 : 1152;
+        frameLength = Math.floor((samples / 8) * bitrate / sampleRate) + padding;
+    }
+    return { version, layer, bitrate, sampleRate, channels, frameLength, samples };
+}
+
+// A frame header is only trusted when the next frame starts right after it (or the file ends).
+function isFrameAt(buffer, offset) {
+    const header = parseFrameHeader(buffer, offset);
+    if (!header) return null;
+    const next = offset + header.frameLength;
+    if (next >= buffer.length - 4) return header;
+    const nextHeader = parseFrameHeader(buffer, next);
+    return nextHeader && nextHeader.sampleRate === header.sampleRate && nextHeader.layer === header.layer ? header : null;
+}
+
+/**
+ * Walks every frame of an MP3 file.
+ * @param {string|Buffer} input A file path or the file contents.
+ * @param {object} [options]
+ * @param {function(Buffer, object, number): void} [options.onFrame] Called with the buffer, header and offset of each frame.
+ * @returns {{frameCount: number, duration: number, sampleRate: number|null, channels: number|null,
+ *            bitrate: number, audioStart: number|null, audioBytes: number, junkBytes: number}}
+ *   `junkBytes` counts the bytes between and after frames that are not audio (ID3v1/APE tags excluded).
+ */
+function analyzeMp3(input, { onFrame } = {}) {
+    const buffer = Buffer.isBuffer(input) ? input : fs.readFileSync(input);
+    let end = buffer.length;
+    // A trailing ID3v1 tag is 128 bytes starting with "TAG".
+    if (end >= 128 && buffer.toString('latin1', end - 128, end - 125) === 'TAG') end -= 128;
+    const data = buffer.subarray(0, end);
+
+    let offset = existingTagLength(data);
+    let audioStart = null;
+    let frameCount = 0;
+    let duration = 0;
+    let audioBytes = 0;
+    let junkBytes = 0;
+    let sampleRate = null;
+    let channels = null;
+
+    while (offset < data.length - 4) {
+        const header = audioStart === null ? isFrameAt(data, offset) : parseFrameHeader(data, offset);
+        if (!header || offset + header.frameLength > data.length) {
+            // Not a frame: skip ahead to the next sync byte.
+            const nextSync = data.indexOf(0xff, offset + 1);
+            const skipped = (nextSync === -1 ? data.length : nextSync) - offset;
+            if (audioStart !== null) junkBytes += skipped;
+            offset += skipped;
+            continue;
+        }
+        if (audioStart === null) audioStart = offset;
+        if (onFrame) onFrame(data, header, offset);
+        frameCount++;
+        duration += header.samples / header.sampleRate;
+        audioBytes += header.frameLength;
+        sampleRate = header.sampleRate;
+        channels = header.channels;
+        offset += header.frameLength;
+    }
+    if (audioStart !== null) junkBytes += data.length - offset;
+
+    return {
+        frameCount,
+        duration,
+        sampleRate,
+        channels,
+        bitrate: duration > 0 ? Math.round((audioBytes * 8) / duration) : 0,
+        audioStart,
+        audioBytes,
+        junkBytes,
+    };
+}
+
+module.exports = { parseFrameHeader, analyzeMp3 };
@@ -0,0 +1,219 @@
+// lib/naming.js
+// Where the downloaded files go, from two templates:
+//  - the track template, relative to the output folder, e.g. "{artist}/{title}/{index} - {track} {variant}.mp3".
+//    Its folder part is the song's folder and may only use the song placeholders {artist}, {title} and
+//    {song} (the page title); the file name adds {index} (the track's position, "01"), {track} and {variant}.
+//  - the mix template, the file name of a custom mix in the song folder, with {mix} and {variant}.
+// An empty placeholder, e.g. {variant} for the original key and tempo, leaves no stray spaces behind.
+//
+// Names keep their accents and non-Latin letters; only the characters no filesystem allows are removed.
+const path = require('path');
+const { EXIT_CODES, DownloaderError } = require('./errors');
+const { DEFAULT_VARIANT, variantLabel } = require('./variants');
+
+const DEFAULT_TEMPLATE = '{song}/{index} - {track} {variant}.mp3';
+const DEFAULT_MIX_TEMPLATE = '{mix} {variant}.mp3';
+
+const SONG_PLACEHOLDERS = ['artist', 'title', 'song'];
+const TRACK_PLACEHOLDERS = ['index', 'track', 'variant'];
+const MIX_PLACEHOLDERS = ['mix', 'variant'];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+// Not allowed in file names on Windows, and "/" nowhere; control characters neither.
+const ILLEGAL_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+// Names Windows reserves for devices, with or without an extension.
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+// Most filesystems allow 255 bytes per name.
+const MAX_NAME_BYTES = 255;
+// The extensions of the files we write: tracks and mixes, REAPER projects and Audacity file lists.
+// Anything else after a dot is part of the name, e.g. "Shine On Part.II".
+const FILE_EXTENSION = /\.(mp3|rpp|lof)$/i;
+
+// Cuts a name to at most `maxBytes` of UTF-8 without splitting a character.
+function truncateBytes(text, maxBytes) {
+    let result = '';
+    for (const character of text) {
+        if (Buffer.byteLength(result + character) > maxBytes) break;
+        result += character;
+    }
+    return result;
+}
+
+/**
+ * Makes one file or folder name safe on every common filesystem, keeping Unicode letters:
+ * "Café: Live/Acoustic?" -> "Café LiveAcoustic".
+ * @param {string} name
+ * @param {{folder?: boolean}} [options] A folder name never has an extension.
+ */
+function sanitizeFileName(name, { folder = false } = {}) {
+    const match = folder ? null : FILE_EXTENSION.exec(name);
+    const extension = match && match.index > 0 ? match[0] : '';
+    const base = name.slice(0, name.length - extension.length);
+    const tidy = text => text.normalize('NFC').replace(ILLEGAL_CHARACTERS, '').replace(/\s+/g, ' ').trim()
+        // Windows drops trailing dots and spaces, so two names could end up the same.
+        .replace(/[. ]+$/, '');
+    const safeExtension = extension.toLowerCase();
+    let safeBase = truncateBytes(tidy(base), MAX_NAME_BYTES - Buffer.byteLength(safeExtension)).trim() || '_';
+    if (RESERVED_NAMES.test(safeBase)) safeBase += '_';
+    return `${safeBase}${safeExtension}`;
+}
+
+function placeholdersOf(text) {
+    return [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+}
+
+function unknownPlaceholderError(template, name, allowed) {
+    return new DownloaderError(
+        `Unknown placeholder {${name}} in the naming template "${template}". Use ${allowed.map(p => `{${p}}`).join(', ')}.`,
+        EXIT_CODES.USAGE
+    );
+}
+
+/**
+ * Checks a track template and splits it into the song folder's segments and the file name.
+ * @param {string} template
+ * @returns {{folder: string[], file: string}}
+ */
+function parseTemplate(template) {
+    const segments = String(template).split(/[/\\]/).map(segment => segment.trim());
+    if (segments.some(segment => !segment || segment === '.' || segment === '..')) {
+        throw new DownloaderError(`The naming template "${template}" has an empty, "." or ".." folder.`, EXIT_CODES.USAGE);
+    }
+    const file = segments.pop();
+    if (segments.length === 0) {
+        throw new DownloaderError(`The naming template "${template}" needs a folder for each song, e.g. "{song}/${file}".`, EXIT_CODES.USAGE);
+    }
+    for (const segment of segments) {
+        for (const name of placeholdersOf(segment)) {
+            if (TRACK_PLACEHOLDERS.includes(name)) {
+                throw new DownloaderError(
+                    `{${name}} can only be used in the file name of the naming template "${template}", not in its folders.`,
+                    EXIT_CODES.USAGE
+                );
+            }
+            if (!SONG_PLACEHOLDERS.includes(name)) throw unknownPlaceholderError(template, name, SONG_PLACEHOLDERS);
+        }
+    }
+    const filePlaceholders = placeholdersOf(file);
+    const unknown = filePlaceholders.find(name => !SONG_PLACEHOLDERS.includes(name) && !TRACK_PLACEHOLDERS.includes(name));
+    if (unknown) throw unknownPlaceholderError(template, unknown, [...SONG_PLACEHOLDERS, ...TRACK_PLACEHOLDERS]);
+    if (!filePlaceholders.includes('track')) {
+        throw new DownloaderError(`The naming template "${template}" needs {track} in its file name.`, EXIT_CODES.USAGE);
+    }
+    return { folder: segments, file: /\.mp3$/i.test(file) ? file : `${file}.mp3` };
+}
+
+/** Checks a mix template, which is a file name inside the song folder. */
+function parseMixTemplate(template) {
+    const file = String(template).trim();
+    if (/[/\\]/.test(file)) {
+        throw new DownloaderError(`The mix naming template "${template}" can't contain folders, mixes are saved in the song folder.`, EXIT_CODES.USAGE);
+    }
+    const placeholders = placeholdersOf(file);
+    const unknown = placeholders.find(name => !MIX_PLACEHOLDERS.includes(name));
+    if (unknown) throw unknownPlaceholderError(template, unknown, MIX_PLACEHOLDERS);
+    if (!placeholders.includes('mix')) {
+        throw new DownloaderError(`The mix naming template "${template}" needs {mix}.`, EXIT_CODES.USAGE);
+    }
+    return /\.mp3$/i.test(file) ? file : `${file}.mp3`;
+}
+
+/**
+ * The naming settings from the --template and --mix-template options, or the same config.json settings.
+ * Both are checked here, so a bad template stops the run before anything is downloaded.
+ * @param {{template?: string, mixTemplate?: string}} settings
+ */
+function namingFromOptions({ template, mixTemplate } = {}) {
+    const naming = { template: template || DEFAULT_TEMPLATE, mixTemplate: mixTemplate || DEFAULT_MIX_TEMPLATE };
+    parseTemplate(naming.template);
+    parseMixTemplate(naming.mixTemplate);
+    return naming;
+}
+
+// Fills the placeholders of one name; a value can't add folders, its "/" are removed like any illegal character.
+function fill(text, values, options) {
+    return sanitizeFileName(text.replace(PLACEHOLDER_PATTERN, (match, name) => String(values[name] ?? '').replace(ILLEGAL_CHARACTERS, '')), options);
+}
+
+/**
+ * The song's folder, relative to the output folder, e.g. "Queen/Bohemian Rhapsody".
+ * @param {string} template
+ * @param {{artist?: string, title: string, song: string}} song
+ */
+function songFolderName(template, { artist, title, song }) {
+    const values = { artist: artist || 'Unknown Artist', title, song };
+    return path.join(...parseTemplate(template).folder.map(segment => fill(segment, values, { folder: true })));
+}
+
+/**
+ * The file name of one stem, e.g. "03 - Lead Vocal.mp3" or "03 - Lead Vocal -2st_90pct.mp3".
+ * @param {string} template
+ * @param {{artist?: string, title: string, song: string}} song
+ * @param {number} index The track's position in the mixer, from 0.
+ * @param {string} trackName
+ * @param {{key: number, tempo: number}} [variant]
+ */
+function trackFileName(template, song, index, trackName, variant = DEFAULT_VARIANT) {
+    return fill(parseTemplate(template).file, {
+        artist: song.artist || 'Unknown Artist',
+        title: song.title,
+        song: song.song,
+        index: String(index + 1).padStart(2, '0'),
+        track: trackName,
+        variant: variantLabel(variant) || '',
+    });
+}
+
+/** The file name of a custom mix, e.g. "Backing.mp3". */
+function mixFileName(mixTemplate, mixName, variant = DEFAULT_VARIANT) {
+    return fill(parseMixTemplate(mixTemplate), { mix: mixName, variant: variantLabel(variant) || '' });
+}
+
+// Before the naming templates, every character but ASCII letters, digits, spaces and "-" became "_".
+const legacyName = name => name.replace(/[^a-z0-9\s-]/gi, '_');
+
+/**
+ * The names the versions before the naming templates gave to a song's folder and files, e.g. "AC_DC - T_N_T"
+ * and "02 - Bass _Synth_.mp3", so that what they downloaded is found again.
+ */
+const legacyNames = {
+    songFolder: songTitle => legacyName(songTitle),
+    track: (index, trackName, variant = DEFAULT_VARIANT) => {
+        const label = variantLabel(variant);
+        return `${String(index + 1).padStart(2, '0')} - ${legacyName(trackName).replace(/\s+/g, ' ')}${label ? ` ${label}` : ''}.mp3`;
+    },
+    mix: (mixName, variant = DEFAULT_VARIANT) => {
+        const label = variantLabel(variant);
+        return `${legacyName(mixName).replace(/\s+/g, ' ')}${label ? ` ${label}` : ''}.mp3`;
+    },
+};
+
+/**
+ * Finds the files that two or more downloads would be saved as. Names that only differ in case or in
+ * Unicode normalization count as the same: they are the same file on macOS and Windows.
+ * @param {Array<{name: string, file: string}>} entries
+ * @returns {Array<{file: string, names: string[]}>}
+ */
+function findCollisions(entries) {
+    const byFile = new Map();
+    for (const entry of entries) {
+        const key = entry.file.normalize('NFC').toLowerCase();
+        if (!byFile.has(key)) byFile.set(key, { file: entry.file, names: [] });
+        byFile.get(key).names.push(entry.name);
+    }
+    return [...byFile.values()].filter(collision => collision.names.length > 1);
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    DEFAULT_MIX_TEMPLATE,
+    sanitizeFileName,
+    parseTemplate,
+    parseMixTemplate,
+    namingFromOptions,
+    songFolderName,
+    trackFileName,
+    mixFileName,
+    legacyNames,
+    findCollisions,
+};
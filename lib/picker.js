@@ -0,0 +1,129 @@
+// lib/picker.js
+// The song list of the interactive menu: songs grouped by artist, marked with what is already on disk,
+// and searchable by typing any part of the title or artist ("bohrhap" finds "Bohemian Rhapsody").
+const inquirer = require('inquirer');
+const { loadManifest, reconcileLibrary } = require('./library');
+
+const STATUS_MARKERS = {
+    complete: '✓', // Every track is on disk
+    partial: '◐', // Some tracks are missing
+    new: '·', // Never downloaded
+};
+
+// "custombackingtrack/guns-n-roses/sweet-child-o-mine.html" -> "Guns N Roses"
+function artistFromUrl(url) {
+    const match = /\/custombackingtrack\/([^/]+)\/[^/]+$/.exec(new URL(url, 'https://www.karaoke-version.com').pathname);
+    if (!match) return null;
+    return decodeURIComponent(match[1]).split('-').filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Adds to each purchased song its artist, title and download status.
+ * The artist recorded when the song was downloaded is preferred; otherwise it is read from the song's URL.
+ * @param {string} downloadDir
+ * @param {Array<{name: string, url: string}>} purchasedSongs As returned by fetchPurchasedSongs.
+ * @returns {Array<{name: string, url: string, artist: string|null, title: string, status: 'new'|'partial'|'complete'}>}
+ */
+function annotateSongs(downloadDir, purchasedSongs) {
+    const library = reconcileLibrary(downloadDir, purchasedSongs);
+    const manifest = loadManifest(downloadDir);
+    return purchasedSongs.map((song, i) => {
+        const entry = manifest.songs[song.url];
+        const artist = (entry && entry.artist) || artistFromUrl(song.url);
+        const prefix = artist ? `${artist} - ` : '';
+        const title = prefix && song.name.toLowerCase().startsWith(prefix.toLowerCase()) ? song.name.slice(prefix.length) : song.name;
+        return { name: song.name, url: song.url, artist, title, status: library[i].status };
+    });
+}
+
+// Lower case and without accents, so "beyonce" finds "Beyoncé".
+const normalize = text => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Scores one search word against the text: a plain substring beats scattered letters, and matches at the
+// start of a word count more. Returns null when the letters of the word don't all appear in order.
+function wordScore(word, text) {
+    const index = text.indexOf(word);
+    if (index !== -1) {
+        const atWordStart = index === 0 || /[^a-z0-9]/.test(text[index - 1]);
+        return 100 + word.length * 10 + (atWordStart ? 50 : 0);
+    }
+    let score = 0;
+    let position = -1;
+    for (const letter of word) {
+        const next = text.indexOf(letter, position + 1);
+        if (next === -1) return null;
+        score += next === position + 1 ? 5 : 1;
+        if (next === 0 || /[^a-z0-9]/.test(text[next - 1])) score += 3;
+        position = next;
+    }
+    return score;
+}
+
+/**
+ * How well `query` matches `text`, higher is better, or null when it doesn't match.
+ * Every word of the query has to match, in any order.
+ */
+function fuzzyScore(query, text) {
+    const words = normalize(query).split(/\s+/).filter(Boolean);
+    const target = normalize(text);
+    let total = 0;
+    for (const word of words) {
+        const score = wordScore(word, target);
+        if (score === null) return null;
+        total += score;
+    }
+    return total;
+}
+
+const byArtistAndTitle = (a, b) => (a.artist || '').localeCompare(b.artist || '') || a.title.localeCompare(b.title);
+
+/**
+ * The songs to show: without a query all of them sorted by artist and title, otherwise the matches, best first.
+ * @param {object[]} songs As returned by annotateSongs.
+ * @param {string} [query]
+ * @param {object} [options]
+ * @param {boolean} [options.onlyMissing] Leave out the songs that are completely downloaded.
+ */
+function filterSongs(songs, query = '', { onlyMissing = false } = {}) {
+    const candidates = onlyMissing ? songs.filter(song => song.status !== 'complete') : songs;
+    if (!query.trim()) return [...candidates].sort(byArtistAndTitle);
+    return candidates
+        .map(song => ({ song, score: fuzzyScore(query, `${song.artist || ''} ${song.title}`) }))
+        .filter(match => match.score !== null)
+        .sort((a, b) => b.score - a.score || byArtistAndTitle(a.song, b.song))
+        .map(match => match.song);
+}
+
+/**
+ * The inquirer choices for a list of songs, each marked with its download status.
+ * @param {object[]} songs As returned by filterSongs.
+ * @param {object} [options]
+ * @param {boolean} [options.grouped=true] List the songs under their artist. Search results are ranked
+ *     rather than sorted by artist, so they are not grouped: each one names its artist instead.
+ * @param {function(object): *} [options.value] The value of a song's choice, its URL by default.
+ */
+function songChoices(songs, { grouped = true, value = song => song.url } = {}) {
+    const choices = [];
+    let currentArtist;
+    for (const song of songs) {
+        const marker = STATUS_MARKERS[song.status];
+        if (grouped) {
+            const artist = song.artist || 'Unknown artist';
+            if (artist !== currentArtist) {
+                choices.push(new inquirer.Separator(`── ${artist} ──`));
+                currentArtist = artist;
+            }
+            choices.push({ name: `${marker} ${song.title}`, value: value(song), short: song.name });
+        } else {
+            const label = song.artist ? `${song.artist} - ${song.title}` : song.title;
+            choices.push({ name: `${marker} ${label}`, value: value(song), short: song.name });
+        }
+    }
+    return choices;
+}
+
+// Explains the markers, shown above the song list.
+const STATUS_LEGEND = `${STATUS_MARKERS.complete} downloaded  ${STATUS_MARKERS.partial} partial  ${STATUS_MARKERS.new} not downloaded`;
+
+module.exports = { STATUS_MARKERS, STATUS_LEGEND, artistFromUrl, annotateSongs, fuzzyScore, filterSongs, songChoices };
@@ -0,0 +1,144 @@
+// lib/projects.js
+// Writes DAW project files next to a song's stems, so a downloaded song opens ready to rehearse:
+//  - a REAPER project (.rpp) with one track per stem, in mixer order, the click track muted,
+//  - an Audacity list of files (.lof), opened with File > Open to import every stem at once.
+//    The format has no notion of mute, so the click track has to be muted by hand there.
+const path = require('path');
+const fs = require('fs');
+const { EXIT_CODES, DownloaderError } = require('./errors');
+const { readSongInfo } = require('./library');
+const { analyzeMp3 } = require('./mp3');
+const { DEFAULT_VARIANT, parseVariantSpec, variantLabel } = require('./variants');
+
+const PROJECT_FORMATS = {
+    reaper: { extension: '.rpp', build: reaperProject },
+    audacity: { extension: '.lof', build: audacityFileList },
+};
+
+// Tracks that are muted in the generated projects.
+const CLICK_TRACK_PATTERN = /\b(click|metronome)\b/i;
+
+/** Parses a comma-separated list of project formats, e.g. "reaper,audacity". */
+function parseProjectFormats(value) {
+    const formats = String(value).split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats.filter(format => !PROJECT_FORMATS[format]);
+    if (unknown.length > 0) {
+        throw new DownloaderError(
+            `Unknown project format "${unknown[0]}". Use ${Object.keys(PROJECT_FORMATS).join(' or ')}.`,
+            EXIT_CODES.USAGE
+        );
+    }
+    return [...new Set(formats)];
+}
+
+/**
+ * The "projectFormats" setting of config.json, e.g. ["reaper"] or "reaper,audacity": the project files
+ * written after each song when the command line doesn't choose.
+ * @param {object} config
+ */
+function projectsFromConfig(config) {
+    return config.projectFormats ? parseProjectFormats([].concat(config.projectFormats).join(',')) : [];
+}
+
+function isClickTrack(trackName) {
+    return CLICK_TRACK_PATTERN.test(trackName);
+}
+
+function variantKey({ key, tempo }) {
+    return `${key}_${tempo}`;
+}
+
+// Stem files of a folder without song.json, recognized by their "NN - Name[ variant].mp3" file names.
+function stemsFromFileNames(songFolderPath) {
+    return fs.readdirSync(songFolderPath)
+        .map(file => {
+            const match = file.match(/^\d{2} - (.+?)(?: ([+-]\d+st(?:_\d+pct)?|\d+pct))?\.mp3$/);
+            if (!match) return null;
+            const variant = match[2] ? parseVariantSpec(match[2]) : DEFAULT_VARIANT;
+            return { file, name: match[1], key: variant.key, tempo: variant.tempo };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * The stems of a song folder, grouped by key/tempo variant and sorted in mixer order.
+ * Mixes are left out, they would play everything twice.
+ * @returns {Array<{variant: {key: number, tempo: number}, stems: Array<{file: string, name: string}>}>}
+ */
+function songStems(songFolderPath) {
+    const info = readSongInfo(songFolderPath);
+    const stems = info && info.files
+        ? info.files.filter(entry => entry.kind === 'stem')
+        : stemsFromFileNames(songFolderPath);
+
+    const groups = new Map();
+    stems
+        .filter(stem => fs.existsSync(path.join(songFolderPath, stem.file)))
+        // song.json records each stem's position in the mixer; the default file names start with it too.
+        .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity) || a.file.localeCompare(b.file))
+        .forEach(stem => {
+            const variant = { key: stem.key ?? DEFAULT_VARIANT.key, tempo: stem.tempo ?? DEFAULT_VARIANT.tempo };
+            const id = variantKey(variant);
+            if (!groups.has(id)) groups.set(id, { variant, stems: [] });
+            groups.get(id).stems.push({ file: stem.file, name: stem.name });
+        });
+    return [...groups.values()];
+}
+
+// REAPER strings are quoted with whichever of ", ' or ` the text doesn't contain.
+function rppString(text) {
+    const quote = ['"', "'", '`'].find(candidate => !text.includes(candidate));
+    return quote ? `${quote}${text}${quote}` : `"${text.replace(/"/g, "'")}"`;
+}
+
+function reaperProject(stems, songFolderPath) {
+    const lines = ['<REAPER_PROJECT 0.1 "6.0" 0'];
+    stems.forEach(stem => {
+        const { duration } = analyzeMp3(path.join(songFolderPath, stem.file));
+        lines.push(
+            '  <TRACK',
+            `    NAME ${rppString(stem.name)}`,
+            `    MUTESOLO ${isClickTrack(stem.name) ? 1 : 0} 0 0`,
+            '    <ITEM',
+            '      POSITION 0',
+            `      LENGTH ${duration.toFixed(6)}`,
+            `      NAME ${rppString(stem.name)}`,
+            '      <SOURCE MP3',
+            `        FILE ${rppString(stem.file)}`, // Relative to the project file
+            '      >',
+            '    >',
+            '  >'
+        );
+    });
+    lines.push('>');
+    return lines.join('\n') + '\n';
+}
+
+function audacityFileList(stems) {
+    const lines = ['# Open this file in Audacity (File > Open) to import every stem as its own track.'];
+    stems.forEach(stem => lines.push(`file "${stem.file}" offset 0`));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes project files for every key/tempo variant found in a song folder.
+ * @param {string} songFolderPath
+ * @param {string[]} formats Keys of PROJECT_FORMATS.
+ * @returns {string[]} The paths of the files written; empty when the folder has no stems.
+ */
+function writeProjects(songFolderPath, formats) {
+    const baseName = path.basename(path.resolve(songFolderPath));
+    const written = [];
+    for (const { variant, stems } of songStems(songFolderPath)) {
+        const label = variantLabel(variant);
+        for (const format of formats) {
+            const { extension, build } = PROJECT_FORMATS[format];
+            const filePath = path.join(songFolderPath, `${baseName}${label ? ` ${label}` : ''}${extension}`);
+            fs.writeFileSync(filePath, build(stems, songFolderPath), 'utf-8');
+            written.push(filePath);
+        }
+    }
+    return written;
+}
+
+module.exports = { PROJECT_FORMATS, parseProjectFormats, projectsFromConfig, isClickTrack, songStems, writeProjects };
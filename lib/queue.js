@@ -0,0 +1,293 @@
+// lib/queue.js
+// A batch of songs processed as one job. The job state is saved after every track,
+// so a crash or Ctrl-C can be resumed from the song (and track) that was interrupted.
+const path = require('path');
+const fs = require('fs');
+const { EXIT_CODES, DownloaderError, TrackTimeoutError } = require('./errors');
+const { createProgressBar, createMultiProgressBar } = require('./site');
+const { resolveMixes } = require('./mixes');
+const { DEFAULT_VARIANT } = require('./variants');
+const { log, redirectLogs } = require('./logger');
+const { writeJsonAtomic, onInterrupt } = require('./util');
+
+const DEFAULT_QUEUE_PATH = path.resolve(__dirname, '..', 'queue.json');
+const FAILURE_REPORT_FILE = 'failure-report.json';
+
+// Songs in these states have been dealt with and are not picked up again on resume.
+const FINISHED_STATUSES = ['complete', 'incomplete', 'failed', 'skipped'];
+
+function createQueue(songs, { enableClickTrack, downloadDir, naming, stems = true, mixes = [], variants = [DEFAULT_VARIANT], projects = [] }) {
+    return {
+        createdAt: new Date().toISOString(),
+        enableClickTrack,
+        downloadDir,
+        naming, // The naming templates, see lib/naming.js
+        stems,
+        mixes, // Mix specs, resolved per song so song presets apply
+        variants,
+        projects,
+        songs: songs.map(song => ({
+            url: song.url,
+            title: song.name || song.url,
+            status: 'pending',
+            tracks: [],
+        })),
+    };
+}
+
+function loadQueue(statePath = DEFAULT_QUEUE_PATH) {
+    if (!fs.existsSync(statePath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    } catch (error) {
+        log.warn(`⚠️  Could not read the queue state file ${statePath}, ignoring it.`);
+        return null;
+    }
+}
+
+function saveQueue(state, statePath = DEFAULT_QUEUE_PATH) {
+    writeJsonAtomic(statePath, state);
+}
+
+function clearQueue(statePath = DEFAULT_QUEUE_PATH) {
+    if (fs.existsSync(statePath)) fs.unlinkSync(statePath);
+}
+
+function remainingSongs(state) {
+    return state.songs.filter(song => !FINISHED_STATUSES.includes(song.status));
+}
+
+/**
+ * Reads song URLs from a text file (one per line) or a CSV file (the first cell that looks like a URL).
+ * Blank lines, comments starting with '#' and rows without a URL, such as a CSV header, are ignored.
+ */
+function readUrlsFromFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new DownloaderError(`The file ${filePath} does not exist.`, EXIT_CODES.USAGE);
+    }
+    const lines = fs.readFileSync(filePath, 'utf-8').split(/\r?\n/);
+    const urls = [];
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+        const url = trimmed
+            .split(/[,;\t]/)
+            .map(cell => cell.trim().replace(/^"|"$/g, ''))
+            .find(cell => /^https?:\/\//i.test(cell));
+        if (url && !urls.includes(url)) urls.push(url);
+    }
+    return urls;
+}
+
+// Where a song's result from processSong leaves it in the queue.
+function songStatusFromResult(result) {
+    if (result.success) return 'complete';
+    if (result.reason === 'not-purchased') return 'skipped';
+    if (result.reason === 'incomplete') return 'incomplete';
+    return 'failed';
+}
+
+/**
+ * Processes every song of the queue that is not finished yet with a KaraokeVersionClient, saving the state
+ * after each track. A TrackTimeoutError (the 'fail' timeout policy) is rethrown after the state has been saved.
+ * An expired session is logged in again by the client and the current song continues.
+ * With a `concurrency` above 1, that many songs are processed at once, each in its own tab; the client's
+ * rate limit caps the page loads and download requests across all of them.
+ * `retryPolicy` sets how often a page load or a track download is attempted, see lib/retry.js.
+ * `askFailureAction` answers the 'prompt' timeout policy.
+ * `resumeHint` tells how to resume after Ctrl-C, e.g. the command to run.
+ * With a `statePath` of null the state is only kept in memory, for callers that keep track of the songs themselves.
+ */
+async function runQueue(client, state, {
+    statePath = DEFAULT_QUEUE_PATH,
+    onTimeout,
+    askFailureAction,
+    concurrency = 1,
+    retryPolicy = client.retryPolicy,
+    resumeHint = 'run again to resume',
+}) {
+    const remaining = remainingSongs(state);
+    const pending = [...remaining];
+    const total = state.songs.length;
+    const tabCount = Math.max(1, Math.min(concurrency, remaining.length));
+    // Questions from several tabs at once can't be answered, so parallel runs retry instead.
+    const timeoutPolicy = tabCount > 1 && onTimeout === 'prompt' ? 'retry' : onTimeout;
+    const progressBars = tabCount > 1 ? createMultiProgressBar() : undefined;
+
+    const save = () => {
+        if (statePath) saveQueue(state, statePath);
+    };
+
+    // The state is already on disk after every track, so Ctrl-C only needs to say how to resume.
+    const stopListening = onInterrupt(() => {
+        if (progressBars) progressBars.stop();
+        save();
+        log.info(statePath ? `\n\n⏸  Interrupted. The queue was saved to ${statePath}; ${resumeHint}.` : '\n\n⏸  Interrupted.');
+        process.exit(130);
+    });
+
+    const runSong = async (tab, song) => {
+        const position = state.songs.indexOf(song) + 1;
+        log.info(`\n${'='.repeat(50)}\n🎵 Song ${position} of ${total}: ${song.title}`);
+
+        song.status = 'in-progress';
+        song.tracks = [];
+        save();
+
+        // The client's events are shared by every tab; each song only listens to its own.
+        // A track downloaded again after the integrity checks (see lib/integrity.js) replaces its first result.
+        const onTrackFinished = ({ songUrl, track, ...result }) => {
+            if (songUrl !== song.url) return;
+            const index = song.tracks.findIndex(previous => previous.file === result.file);
+            if (index === -1) song.tracks.push(result);
+            else song.tracks[index] = result;
+            save();
+        };
+        // The client downloads the song again after logging in, and reports every track anew.
+        const onSessionExpired = ({ songUrl }) => {
+            if (songUrl === song.url) song.tracks = [];
+        };
+        client.on('trackFinished', onTrackFinished);
+        client.on('sessionExpired', onSessionExpired);
+
+        try {
+            const result = await client.downloadSong(song.url, {
+                page: tab,
+                enableClickTrack: state.enableClickTrack,
+                downloadDir: state.downloadDir,
+                ...(state.naming ? { naming: state.naming } : {}),
+                stems: state.stems !== false,
+                mixes: resolveMixes(state.mixes, song.url),
+                variants: state.variants || [DEFAULT_VARIANT],
+                projects: state.projects || [],
+                onTimeout: timeoutPolicy,
+                askFailureAction,
+                retryPolicy,
+                ...(progressBars ? { progressBars } : { progressBar: createProgressBar() }),
+            });
+            song.title = result.songTitle;
+            song.status = songStatusFromResult(result);
+            if (song.status !== 'complete') song.reason = result.reason;
+        } catch (error) {
+            if (!(error instanceof TrackTimeoutError)) throw error;
+            song.status = 'failed';
+            song.reason = error.message;
+            throw error;
+        } finally {
+            client.off('trackFinished', onTrackFinished);
+            client.off('sessionExpired', onSessionExpired);
+            save();
+        }
+    };
+
+    // Each tab takes the next pending song until none are left. After an error no new song is started,
+    // the songs already underway are finished, then the error is thrown.
+    let abortError = null;
+    const runTab = async tab => {
+        while (pending.length > 0 && !abortError) {
+            try {
+                await runSong(tab, pending.shift());
+            } catch (error) {
+                abortError = abortError || error;
+            }
+        }
+    };
+
+    // The extra tabs share the browser, and with it the login session.
+    const tabs = [client.page];
+    const restoreConsole = progressBars ? printAbove(progressBars) : () => {};
+    try {
+        while (tabs.length < tabCount) tabs.push(await client.newTab());
+        await Promise.all(tabs.map(runTab));
+    } finally {
+        stopListening();
+        if (progressBars) progressBars.stop();
+        restoreConsole();
+        for (const tab of tabs.slice(1)) await tab.close().catch(() => {});
+    }
+    if (abortError) throw abortError;
+    return state;
+}
+
+// While a MultiBar is drawn, log lines are printed above it rather than through it. Returns the undo function.
+function printAbove(progressBars) {
+    // Without a terminal the MultiBar draws nothing, and the lines would never be printed.
+    if (!process.stderr.isTTY) return () => {};
+    return redirectLogs(line => progressBars.log(`${line}\n`));
+}
+
+function summarizeQueue(state) {
+    const songs = { complete: 0, incomplete: 0, failed: 0, skipped: 0, pending: 0 };
+    const tracks = { downloaded: 0, exists: 0, skipped: 0, failed: 0 };
+    for (const song of state.songs) {
+        // An interrupted song counts as pending: it is picked up again on resume.
+        const status = song.status === 'in-progress' ? 'pending' : song.status;
+        songs[status]++;
+        song.tracks.forEach(track => tracks[track.status]++);
+    }
+    return { songs, tracks };
+}
+
+function printQueueSummary(state) {
+    log.info(`\n${'='.repeat(50)}\n📋 Queue summary\n`);
+
+    const icons = { complete: '✅', incomplete: '⚠️ ', failed: '❌', skipped: '⏭ ', pending: '⏸ ', 'in-progress': '⏸ ' };
+    for (const song of state.songs) {
+        const counts = song.tracks.reduce((acc, track) => ({ ...acc, [track.status]: (acc[track.status] || 0) + 1 }), {});
+        const details = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+        log.info(`${icons[song.status]} ${song.title} [${song.status}]${details ? ` — ${details}` : ''}${song.reason && song.reason !== 'incomplete' ? ` (${song.reason})` : ''}`);
+        song.tracks
+            .filter(track => track.status === 'skipped' || track.status === 'failed')
+            .forEach(track => log.info(`      ${track.status === 'failed' ? '❌' : '⏭ '} ${track.name} (${track.status}${track.reason ? `: ${track.reason}` : ''})`));
+    }
+
+    const { songs, tracks } = summarizeQueue(state);
+    log.info(`\nSongs:  ${songs.complete} complete, ${songs.incomplete} incomplete, ${songs.failed} failed, ${songs.skipped} skipped, ${songs.pending} not processed`);
+    log.info(`Tracks: ${tracks.downloaded} downloaded, ${tracks.exists} already present, ${tracks.skipped} skipped, ${tracks.failed} failed`);
+}
+
+/**
+ * Lists every song that did not complete and every track that was not downloaded, with the reason,
+ * or returns null when everything went fine.
+ */
+function failureReport(state) {
+    const failures = state.songs
+        .filter(song => ['incomplete', 'failed', 'skipped'].includes(song.status))
+        .map(song => ({
+            url: song.url,
+            title: song.title,
+            status: song.status,
+            reason: song.reason,
+            tracks: song.tracks
+                .filter(track => track.status === 'skipped' || track.status === 'failed')
+                .map(({ name, file, status, reason, attempts }) => ({ name, file, status, reason, attempts })),
+        }));
+    if (failures.length === 0) return null;
+    return { createdAt: new Date().toISOString(), summary: summarizeQueue(state), failures };
+}
+
+// Writes the failure report of a queue as JSON, next to the songs unless another path is given. Returns the path, or null.
+function saveFailureReport(state, reportPath = path.join(state.downloadDir || '.', FAILURE_REPORT_FILE)) {
+    const report = failureReport(state);
+    if (!report) return null;
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+    return reportPath;
+}
+
+module.exports = {
+    DEFAULT_QUEUE_PATH,
+    FAILURE_REPORT_FILE,
+    createQueue,
+    loadQueue,
+    saveQueue,
+    clearQueue,
+    remainingSongs,
+    readUrlsFromFile,
+    songStatusFromResult,
+    runQueue,
+    summarizeQueue,
+    printQueueSummary,
+    failureReport,
+    saveFailureReport,
+};
@@ -0,0 +1,29 @@
+// lib/ratelimit.js
+// A rate limit shared by every tab, so downloading songs in parallel doesn't hammer the site.
+
+// Page loads and download requests per minute, across all tabs.
+const DEFAULT_RATE_LIMIT = 30;
+
+/**
+ * Creates a limiter that lets at most `perMinute` requests through per minute, evenly spaced.
+ * `wait()` resolves when the caller may send its request. With `perMinute` 0 nothing is limited.
+ * @param {number} perMinute
+ * @returns {{wait: function(): Promise<void>}}
+ */
+function createRateLimiter(perMinute) {
+    if (!perMinute) return { wait: async () => {} };
+
+    const interval = 60000 / perMinute;
+    let nextSlot = 0;
+    return {
+        wait: () => {
+            // Slots are handed out on call, so concurrent callers queue up instead of all firing at once.
+            const now = Date.now();
+            const slot = Math.max(now, nextSlot);
+            nextSlot = slot + interval;
+            return new Promise(resolve => setTimeout(resolve, slot - now));
+        },
+    };
+}
+
+module.exports = { DEFAULT_RATE_LIMIT, createRateLimiter };
@@ -0,0 +1,53 @@
+// lib/retry.js
+// Retries with exponential backoff, so unattended runs get over a slow page or a dropped download.
+const { DownloaderError } = require('./errors');
+const { log } = require('./logger');
+const { pause } = require('./util');
+
+// 3 attempts, waiting 2s then 4s between them. The delay doubles on every attempt, up to maxDelay.
+const DEFAULT_RETRY_POLICY = { attempts: 3, delay: 2000, maxDelay: 60000 };
+
+/**
+ * Builds a retry policy from the --retries and --retry-delay options (or the same config.json settings).
+ * @param {{retries?: number, retryDelay?: number}} options
+ */
+function retryPolicyFromOptions({ retries, retryDelay } = {}) {
+    return {
+        ...DEFAULT_RETRY_POLICY,
+        ...(retries !== undefined ? { attempts: retries + 1 } : {}),
+        ...(retryDelay !== undefined ? { delay: retryDelay } : {}),
+    };
+}
+
+/** How long to wait after the given failed attempt (1-based). */
+function backoffDelay(policy, attempt) {
+    return Math.min(policy.delay * 2 ** (attempt - 1), policy.maxDelay);
+}
+
+/**
+ * Runs `fn` until it succeeds or the policy's attempts are used up, then rethrows the last error.
+ * Our own errors (DownloaderError) are deliberate and never retried: wrong credentials don't get better.
+ * @param {string} description What is being attempted, for the log, e.g. 'Loading the song page'.
+ * @param {function(number): Promise<*>} fn Called with the attempt number, starting at 1.
+ * @param {object} [options]
+ * @param {object} [options.policy]
+ * @param {function(number): Promise<void>} [options.beforeRetry] Runs after the backoff, before the next attempt.
+ */
+async function withRetry(description, fn, { policy = DEFAULT_RETRY_POLICY, beforeRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (error instanceof DownloaderError || attempt >= policy.attempts) {
+                error.attempts = attempt;
+                throw error;
+            }
+            const delay = backoffDelay(policy, attempt);
+            log.warn(`⚠️  ${description} failed (attempt ${attempt} of ${policy.attempts}): ${error.message}. Retrying in ${Math.round(delay / 1000)}s...`);
+            await pause(delay);
+            if (beforeRetry) await beforeRetry(attempt);
+        }
+    }
+}
+
+module.exports = { DEFAULT_RETRY_POLICY, retryPolicyFromOptions, backoffDelay, withRetry };
@@ -0,0 +1,98 @@
+// lib/selectors.js
+// Every CSS selector the tool relies on, in one place. When the site changes its markup, a selector can be
+// fixed in config.json without touching the code, e.g.
+//   "selectors": { "song": { "downloadButton": "a.btn--download" } }
+// `kv-downloader doctor` reports which selectors no longer match, see lib/doctor.js.
+const { loadConfig } = require('./config');
+const { EXIT_CODES, DownloaderError } = require('./errors');
+
+const DEFAULT_SELECTORS = {
+    // Shown on every page until the cookie policy is accepted.
+    common: {
+        cookieConsentButton: '#didomi-notice-agree-button',
+    },
+    login: {
+        emailInput: '#frm_login',
+        passwordInput: '#frm_password',
+        submitButton: '#sbm',
+        // Where the login page shows why a login was refused.
+        errorMessage: '.alert, .error, .form__error, .notification--error, .message--error',
+        captcha: 'iframe[src*="recaptcha"], iframe[src*="hcaptcha"], .g-recaptcha, .h-captcha, #captcha',
+    },
+    // The "My Downloads" page listing the purchased songs.
+    downloads: {
+        songCell: 'td.my-downloaded-files__song',
+        songLink: 'a', // Inside songCell
+        nextPageLink: 'a[rel="next"]',
+    },
+    song: {
+        mixer: '#html-mixer',
+        track: '#html-mixer .track',
+        // Inside each track
+        trackCaption: '.track__caption',
+        trackSolo: 'button.track__solo',
+        trackMute: 'button.track__mute',
+        trackVolume: 'input[type="range"]',
+        precount: '#precount',
+        // "Download" when the song is purchased, "Add to cart" otherwise.
+        downloadButton: 'a.download',
+        downloadModalClose: 'div.modal__overlay div.modal button',
+        // schema.org markup naming the song's artist, when the page has it.
+        artist: '[itemprop="byArtist"] [itemprop="name"], [itemprop="byArtist"]',
+        // The key and tempo controls of the mixer: -/+ buttons and a label showing the current value.
+        keyDown: 'button.pitch__down',
+        keyUp: 'button.pitch__up',
+        keyValue: '.pitch__value',
+        tempoDown: 'button.tempo__down',
+        tempoUp: 'button.tempo__up',
+        tempoValue: '.tempo__value',
+    },
+};
+
+/**
+ * The default selectors with the overrides of config.json's `selectors` applied.
+ * An override must name an existing selector: a typo would otherwise be ignored without a word.
+ * @param {object} [overrides] Same shape as DEFAULT_SELECTORS, with only the selectors to replace.
+ */
+function mergeSelectors(overrides = {}) {
+    const merged = {};
+    for (const [group, defaults] of Object.entries(DEFAULT_SELECTORS)) merged[group] = { ...defaults };
+
+    for (const [group, entries] of Object.entries(overrides)) {
+        if (!merged[group] || typeof entries !== 'object' || entries === null) {
+            throw new DownloaderError(
+                `Unknown selector group "${group}" in config.json, expected one of: ${Object.keys(DEFAULT_SELECTORS).join(', ')}.`,
+                EXIT_CODES.USAGE
+            );
+        }
+        for (const [name, selector] of Object.entries(entries)) {
+            if (!(name in merged[group])) {
+                throw new DownloaderError(
+                    `Unknown selector "${group}.${name}" in config.json, expected one of: ${Object.keys(merged[group]).join(', ')}.`,
+                    EXIT_CODES.USAGE
+                );
+            }
+            if (typeof selector !== 'string' || !selector.trim()) {
+                throw new DownloaderError(`The selector "${group}.${name}" in config.json must be a non-empty string.`, EXIT_CODES.USAGE);
+            }
+            merged[group][name] = selector;
+        }
+    }
+    return merged;
+}
+
+let current = null;
+
+/** The selectors in use, read from config.json once. */
+function selectors() {
+    if (!current) current = mergeSelectors(loadConfig().selectors);
+    return current;
+}
+
+// Looks a selector up by its dotted name, e.g. 'song.downloadButton'.
+function selectorFor(map, name) {
+    const [group, key] = name.split('.');
+    return map[group] && map[group][key];
+}
+
+module.exports = { DEFAULT_SELECTORS, mergeSelectors, selectors, selectorFor };
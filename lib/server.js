@@ -0,0 +1,321 @@
+// lib/server.js
+// `kv-downloader serve`: a small web dashboard on this computer, for those who'd rather click than type.
+// It lists the purchased songs with what is already on disk, starts downloads with the click track, mixes
+// and key/tempo of one's choice, and streams each track's progress to the page with Server-Sent Events.
+//
+// Everything runs in the one browser session the command logged in with: the song list is read in its first
+// tab, and the downloads run one song after the other in a second one.
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const { EXIT_CODES, DownloaderError } = require('./errors');
+const { loadConfig } = require('./config');
+const { annotateSongs } = require('./picker');
+const { songStatusFromResult } = require('./queue');
+const { presetNames, resolveMixes, validateMixSpecs } = require('./mixes');
+const { variantsFromOptions } = require('./variants');
+const { log } = require('./logger');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 8080;
+const DASHBOARD_FILE = path.join(__dirname, 'dashboard.html');
+const MAX_BODY_BYTES = 64 * 1024;
+// Progress is sent at most this often per track; the browser reports new bytes far more often.
+const PROGRESS_INTERVAL_MS = 250;
+// A comment sent this often keeps idle event streams from being closed by proxies and browsers.
+const KEEP_ALIVE_MS = 25000;
+
+// An error the browser caused, answered with its status code and message.
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf-8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (Buffer.byteLength(body) > MAX_BODY_BYTES) {
+                reject(new RequestError(413, 'The request is too large.'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                reject(new RequestError(400, 'The request is not valid JSON.'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(data));
+}
+
+/**
+ * Checks the download settings sent by the dashboard, with the same rules as the command line.
+ * @param {object} body `{urls, click, stems, mixes, key, tempo}`
+ * @returns {{urls: string[], settings: object}}
+ */
+function parseDownloadRequest(body, defaults) {
+    const urls = Array.isArray(body.urls) ? body.urls.filter(url => typeof url === 'string' && url.trim()) : [];
+    if (urls.length === 0) throw new RequestError(400, 'Choose at least one song.');
+    for (const url of urls) {
+        if (!/^https?:\/\//i.test(url)) throw new RequestError(400, `"${url}" is not a song URL.`);
+    }
+    const mixes = Array.isArray(body.mixes) ? body.mixes.filter(spec => typeof spec === 'string' && spec.trim()).map(spec => spec.trim()) : [];
+    const stems = body.stems !== false;
+    const given = value => (value === undefined || value === null || value === '' ? undefined : value);
+    try {
+        validateMixSpecs(mixes);
+        if (!stems && mixes.length === 0) {
+            throw new DownloaderError('Without the stems, choose at least one mix, otherwise there is nothing to download.', EXIT_CODES.USAGE);
+        }
+        return {
+            urls: urls.map(url => url.trim()),
+            settings: {
+                enableClickTrack: typeof body.click === 'boolean' ? body.click : defaults.enableClickTrack,
+                stems,
+                mixes,
+                variants: variantsFromOptions({ key: given(body.key), tempo: given(body.tempo) }),
+            },
+        };
+    } catch (error) {
+        if (error instanceof DownloaderError) throw new RequestError(400, error.message);
+        throw error;
+    }
+}
+
+/**
+ * The Host headers the dashboard answers: the address it listens on and this computer's own names, with the
+ * port. Listening on every interface (0.0.0.0 or ::) adds the addresses of this computer's network interfaces.
+ * @param {string} host
+ * @param {number} port
+ * @returns {Set<string>} Lower case, IPv6 addresses in brackets, e.g. "[::1]:8080".
+ */
+function hostsFor(host, port) {
+    const names = ['localhost', '127.0.0.1', '::1', host];
+    if (['0.0.0.0', '::'].includes(host)) {
+        names.push(...Object.values(os.networkInterfaces()).flat().map(network => network.address), os.hostname());
+    }
+    return new Set(names.flatMap(name => {
+        const bare = name.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+        const hostName = bare.includes(':') ? `[${bare}]` : bare;
+        // Browsers leave the default port out.
+        return port === 80 ? [`${hostName}:${port}`, hostName] : [`${hostName}:${port}`];
+    }));
+}
+
+/**
+ * Starts the dashboard's web server.
+ * @param {import('./client').KaraokeVersionClient} client A logged in client.
+ * @param {object} options
+ * @param {string} [options.host] Only this computer by default; '0.0.0.0' shares it on the local network.
+ * @param {number} [options.port] 0 for any free port.
+ * @param {string} options.downloadDir
+ * @param {{enableClickTrack: boolean, naming: object, projects: string[]}} options.defaults The settings of config.json.
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+async function startServer(client, { host = DEFAULT_HOST, port = DEFAULT_PORT, downloadDir, defaults }) {
+    const streams = new Set();
+    const jobs = [];
+    let nextJobId = 1;
+    let purchasedSongs = null;
+    let songsLoading = null;
+    let downloadTab = null;
+    let working = false;
+
+    const broadcast = (event, data) => {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const stream of streams) stream.write(message);
+    };
+    const jobSummary = job => ({
+        id: job.id,
+        url: job.url,
+        title: job.title,
+        status: job.status,
+        reason: job.reason,
+        tracks: Object.values(job.tracks),
+    });
+
+    // The song list is read once and again on request; two requests at the same time share one read.
+    const loadSongs = async refresh => {
+        if (!purchasedSongs || refresh) {
+            songsLoading = songsLoading || client.fetchPurchasedSongs().finally(() => { songsLoading = null; });
+            purchasedSongs = await songsLoading;
+        }
+        return annotateSongs(downloadDir, purchasedSongs);
+    };
+
+    // The client's events, passed on to the job of the song being downloaded.
+    const jobFor = songUrl => jobs.find(job => job.status === 'downloading' && job.url === songUrl);
+    const updateTrack = ({ songUrl, track, file, ...details }) => {
+        const job = jobFor(songUrl);
+        if (!job) return null;
+        const current = job.tracks[file] || { track, file, status: 'waiting' };
+        job.tracks[file] = Object.assign(current, details);
+        return job;
+    };
+    const lastProgress = new Map();
+    client.on('trackStarted', details => {
+        const job = updateTrack({ ...details, status: 'downloading', receivedBytes: 0 });
+        if (job) broadcast('track', { jobId: job.id, ...job.tracks[details.file] });
+    });
+    client.on('progress', details => {
+        const job = updateTrack(details);
+        if (!job) return;
+        const now = Date.now();
+        const done = details.totalBytes > 0 && details.receivedBytes >= details.totalBytes;
+        if (!done && now - (lastProgress.get(details.file) || 0) < PROGRESS_INTERVAL_MS) return;
+        lastProgress.set(details.file, now);
+        broadcast('track', { jobId: job.id, ...job.tracks[details.file] });
+    });
+    client.on('trackFailed', details => {
+        const job = updateTrack({ ...details, status: details.action === 'retry' ? 'retrying' : 'failed' });
+        if (job) broadcast('track', { jobId: job.id, ...job.tracks[details.file] });
+    });
+    client.on('trackFinished', ({ name, ...details }) => {
+        const job = updateTrack(details);
+        if (job) broadcast('track', { jobId: job.id, ...job.tracks[details.file] });
+    });
+    client.on('log', ({ level, message }) => {
+        if (level !== 'debug' && message.trim()) broadcast('log', { level, message: message.trim() });
+    });
+
+    // Downloads the queued songs one after the other, in a tab of their own so the song list stays available.
+    const work = async () => {
+        if (working) return;
+        working = true;
+        try {
+            let job;
+            while ((job = jobs.find(candidate => candidate.status === 'queued'))) {
+                job.status = 'downloading';
+                broadcast('job', jobSummary(job));
+                try {
+                    if (!downloadTab) downloadTab = await client.newTab();
+                    const result = await client.downloadSong(job.url, {
+                        page: downloadTab,
+                        ...job.settings,
+                        mixes: resolveMixes(job.settings.mixes, job.url),
+                        naming: defaults.naming,
+                        projects: defaults.projects,
+                        // Nobody may be watching the page to answer, so failed tracks are retried, then given up.
+                        onTimeout: 'retry',
+                    });
+                    job.title = result.songTitle;
+                    job.status = songStatusFromResult(result);
+                    if (job.status !== 'complete') job.reason = result.reason;
+                } catch (error) {
+                    log.error(`❌ Downloading ${job.url} failed: ${error.message}`);
+                    job.status = 'failed';
+                    job.reason = error.message;
+                }
+                broadcast('job', jobSummary(job));
+            }
+        } finally {
+            working = false;
+        }
+    };
+
+    const handlers = {
+        'GET /': (request, response) => {
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+            fs.createReadStream(DASHBOARD_FILE).pipe(response);
+        },
+        'GET /api/songs': async (request, response, url) => {
+            const songs = await loadSongs(url.searchParams.get('refresh') === '1');
+            sendJson(response, 200, {
+                songs,
+                presets: presetNames(loadConfig(), null),
+                defaults: { click: defaults.enableClickTrack },
+            });
+        },
+        'GET /api/jobs': (request, response) => sendJson(response, 200, { jobs: jobs.map(jobSummary) }),
+        'POST /api/downloads': async (request, response) => {
+            const { urls, settings } = parseDownloadRequest(await readJsonBody(request), defaults);
+            const added = [];
+            for (const url of urls) {
+                // A song that is already waiting or downloading is not queued twice.
+                if (jobs.some(job => job.url === url && (job.status === 'queued' || job.status === 'downloading'))) continue;
+                const song = (purchasedSongs || []).find(candidate => candidate.url === url);
+                const job = { id: nextJobId++, url, title: song ? song.name : url, status: 'queued', settings, tracks: {} };
+                jobs.push(job);
+                added.push(job);
+                broadcast('job', jobSummary(job));
+            }
+            work();
+            sendJson(response, 202, { jobs: added.map(jobSummary) });
+        },
+        'GET /api/events': (request, response) => {
+            response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+            response.write(`event: jobs\ndata: ${JSON.stringify(jobs.map(jobSummary))}\n\n`);
+            streams.add(response);
+            const keepAlive = setInterval(() => response.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+            request.on('close', () => {
+                clearInterval(keepAlive);
+                streams.delete(response);
+            });
+        },
+    };
+
+    // The names the dashboard is reached by, filled in once the server listens.
+    let allowedHosts = new Set();
+
+    const server = http.createServer(async (request, response) => {
+        let url;
+        try {
+            if (!URL.canParse(request.url, 'http://localhost')) throw new RequestError(400, 'Bad request.');
+            url = new URL(request.url, 'http://localhost');
+            // A website can point a name of its own at this computer (DNS rebinding); the browser then sends
+            // that name as the Host, and treats the dashboard as part of that website.
+            if (!allowedHosts.has((request.headers.host || '').toLowerCase())) {
+                throw new RequestError(403, 'Open the dashboard through the address it was started with.');
+            }
+            const handler = handlers[`${request.method} ${url.pathname}`];
+            if (!handler) throw new RequestError(404, 'Not found.');
+            if (request.method === 'POST') {
+                // Another website open in the same browser must not start downloads: it can't send JSON
+                // without the browser asking us first, and its origin is not ours.
+                const origin = request.headers.origin;
+                const sameSite = !origin || (URL.canParse(origin) && allowedHosts.has(new URL(origin).host));
+                if (!sameSite) throw new RequestError(403, 'Requests from other sites are not allowed.');
+                if (!/^application\/json\b/.test(request.headers['content-type'] || '')) throw new RequestError(415, 'Send the request as JSON.');
+            }
+            await handler(request, response, url);
+        } catch (error) {
+            if (!(error instanceof RequestError)) log.error(`❌ ${request.method} ${url ? url.pathname : request.url} failed: ${error.message}`);
+            if (!response.headersSent) sendJson(response, error.status || 500, { error: error.message });
+            else response.end();
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', error => reject(error.code === 'EADDRINUSE'
+            ? new DownloaderError(`Port ${port} is already in use; choose another one with --port.`, EXIT_CODES.USAGE)
+            : error));
+        server.listen(port, host, resolve);
+    });
+    const address = server.address();
+    const shownHost = ['0.0.0.0', '::'].includes(address.address) ? 'localhost' : address.address;
+    allowedHosts = hostsFor(host, address.port);
+
+    return {
+        url: `http://${shownHost.includes(':') ? `[${shownHost}]` : shownHost}:${address.port}`,
+        close: async () => {
+            for (const stream of streams) stream.end();
+            await new Promise(done => server.close(() => done()));
+            if (downloadTab) await downloadTab.close().catch(() => {});
+        },
+    };
+}
+
+module.exports = { DEFAULT_HOST, DEFAULT_PORT, parseDownloadRequest, startServer };
@@ -0,0 +1,1068 @@
+// lib/site.js
+// Browser automation for karaoke-version.com: login, song list scraping and track downloads.
+// Use puppeteer-extra to make the browser automation less detectable
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const path = require('path');
+const fs = require('fs');
+const cliProgress = require('cli-progress');
+const { EXIT_CODES, DownloaderError, TrackTimeoutError, LoginError, SessionExpiredError } = require('./errors');
+const { findSongFolder, readSongInfo, recordSong, recordFile, renameRecordedFile } = require('./library');
+const { writeTags } = require('./id3');
+const { writeProjects } = require('./projects');
+const { STAGING_FOLDER, trackDownloads, removeStaleDownloads, formatTransfer } = require('./downloads');
+const { DEFAULT_RETRY_POLICY, backoffDelay, withRetry } = require('./retry');
+const { pause } = require('./util');
+const { findTrackIndex } = require('./mixes');
+const { DEFAULT_VARIANT, isDefaultVariant, variantLabel } = require('./variants');
+const { log } = require('./logger');
+const { watchBrowser, watchPage, captureDebugBundle } = require('./debug');
+const { selectors } = require('./selectors');
+const { checkMp3File, checkSongFiles } = require('./integrity');
+const {
+    DEFAULT_TEMPLATE,
+    DEFAULT_MIX_TEMPLATE,
+    songFolderName,
+    trackFileName,
+    mixFileName,
+    legacyNames,
+    findCollisions,
+} = require('./naming');
+
+// A helper function to create a styled progress bar
+const PROGRESS_BAR_OPTIONS = { format: '{step} | {bar} | {value}/{total} Tracks | {transfer}' };
+const createProgressBar = () => new cliProgress.SingleBar(PROGRESS_BAR_OPTIONS, cliProgress.Presets.shades_classic);
+// The progress bars of songs downloaded in parallel, one row per tab.
+const createMultiProgressBar = () => new cliProgress.MultiBar(PROGRESS_BAR_OPTIONS, cliProgress.Presets.shades_classic);
+// Draws nothing, for when the progress is only reported through callbacks (see lib/client.js).
+const SILENT_PROGRESS_BAR = { start() {}, update() {}, increment() {}, stop() {} };
+
+// Apply the stealth plugin
+puppeteer.use(StealthPlugin());
+
+const DEFAULT_DOWNLOAD_DIR = path.resolve(__dirname, '..', 'downloads');
+// Cookies and the rest of the browser state are kept here between runs, so the login form is only needed
+// when the session has expired.
+const DEFAULT_PROFILE_DIR = path.resolve(__dirname, '..', 'browser-profile');
+
+const LOGIN_URL = 'https://www.karaoke-version.com/my/login.html';
+const ACCOUNT_URL = 'https://www.karaoke-version.com/my/download.html';
+
+// The key and tempo controls of the mixer: -/+ buttons and a label showing the current value.
+function pitchControls() {
+    const { song } = selectors();
+    return {
+        key: { down: song.keyDown, up: song.keyUp, value: song.keyValue },
+        tempo: { down: song.tempoDown, up: song.tempoUp, value: song.tempoValue },
+    };
+}
+
+// A rate limiter that never waits, for when no shared one is passed.
+const NO_RATE_LIMIT = { wait: async () => {} };
+
+// The launchBrowser options for the command line options; --no-profile runs without a saved session.
+function browserOptions(options) {
+    return { visible: options.visible, profileDir: options.profile === false ? null : options.profileDir };
+}
+
+async function launchBrowser({ visible = false, profileDir = DEFAULT_PROFILE_DIR } = {}) {
+    const browser = await puppeteer.launch({
+        // Run headless by default. If '--visible' flag is passed, show the browser.
+        headless: !visible ? 'new' : false,
+        // A persistent profile keeps the login session between runs. Without one, every run starts logged out.
+        userDataDir: profileDir || undefined,
+        // Ensure consistent viewport size in both headless and headful modes
+        defaultViewport: { width: 1280, height: 1024 },
+        args: ['--disable-infobars'],
+    });
+    // In --debug mode the console and network traffic of every tab is recorded for the debug bundles.
+    watchBrowser(browser);
+    (await browser.pages()).forEach(watchPage);
+    return browser;
+}
+
+// The site sends logged-out visitors to the login page, which is recognized by its URL or its form.
+async function isLoginPage(page) {
+    return page.url().includes('/my/login') || (await page.$(selectors().login.emailInput)) !== null;
+}
+
+// Throws a SessionExpiredError when the page we navigated to turned out to be the login page.
+async function assertLoggedIn(page) {
+    if (await isLoginPage(page)) throw new SessionExpiredError();
+}
+
+/**
+ * Logs in, unless the session saved in the browser profile is still valid.
+ * The login is verified: a refused password, a captcha or a timeout each throw a LoginError.
+ * @param {object} [options]
+ * @param {boolean} [options.visible] With a visible browser, a captcha can be solved by hand.
+ */
+async function login(page, email, password, { visible = false } = {}) {
+    log.info('Checking for a saved session...');
+    await page.goto(ACCOUNT_URL, { waitUntil: 'networkidle2' });
+    if (!(await isLoginPage(page))) {
+        log.info('✓ Already logged in (saved session).');
+        return;
+    }
+
+    log.info('Logging in...');
+    if (!page.url().includes('/my/login')) {
+        await page.goto(LOGIN_URL, { waitUntil: 'networkidle2' });
+    }
+    await handleCookieConsent(page);
+    log.debug('On login page...');
+
+    const { login: form } = selectors();
+    await page.$eval(form.emailInput, el => { el.value = ''; });
+    await page.type(form.emailInput, email);
+    log.debug('Typed email...');
+
+    await page.$eval(form.passwordInput, el => { el.value = ''; });
+    await page.type(form.passwordInput, password);
+    log.debug('Typed password...');
+
+    // A refused login may re-render the form without navigating, so a navigation timeout is not an error yet.
+    await Promise.all([
+        page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }).catch(() => {}),
+        page.click(form.submitButton),
+    ]);
+
+    if (await page.$(form.captcha)) {
+        if (!visible) {
+            throw new LoginError('captcha', 'The site asked for a captcha. Run once with --visible and solve it; the session is then saved for the next runs.');
+        }
+        log.info('🧩 The site asked for a captcha. Solve it in the browser window and submit the form (waiting up to 5 minutes)...');
+        await page.waitForFunction(selector => !document.querySelector(selector), { timeout: 300000, polling: 1000 }, form.emailInput)
+            .catch(() => { throw new LoginError('timeout', 'Timed out waiting for the captcha to be solved.'); });
+        await page.waitForNetworkIdle({ timeout: 30000 }).catch(() => {});
+    }
+
+    if (await isLoginPage(page)) {
+        const message = await page.$$eval(form.errorMessage, elements =>
+            elements.map(el => el.textContent.trim()).find(text => text.length > 0)
+        ).catch(() => null);
+        if (message) {
+            throw new LoginError('invalid-credentials', `Login failed: ${message}`);
+        }
+        if (page.url().includes('/my/login')) {
+            throw new LoginError('invalid-credentials', 'Login failed: the site did not accept the email and password.');
+        }
+        throw new LoginError('unknown', `Login could not be confirmed, the browser ended up on ${page.url()}.`);
+    }
+    log.info('Login successful!');
+}
+
+async function navigateToSongPage(page, songUrl) {
+    log.info('\nNavigating directly to song page...');
+    await page.goto(songUrl, { waitUntil: 'networkidle2' });
+    log.info('✅ Arrived at song page.');
+}
+
+async function handleCookieConsent(page) {
+    // Websites often have a cookie consent banner that can block other elements.
+    // We'll try to click the "I agree" button if it appears.
+    try {
+        const cookieButtonSelector = selectors().common.cookieConsentButton;
+        await page.waitForSelector(cookieButtonSelector, { timeout: 5000 }); // Wait up to 5s
+        await page.click(cookieButtonSelector);
+        log.info('✓ Accepted cookie policy.');
+        await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 5000 }).catch(() => {}); // Catch timeout if no navigation
+    } catch (e) {
+        // If the button isn't found after 5s, we assume it's not there.
+        log.debug('✓ Cookie banner not found or already handled, proceeding...');
+    }
+}
+
+/**
+ * Works out the artist and title of the song page: from its schema.org markup if present,
+ * otherwise by splitting an "Artist - Title" page title.
+ */
+async function readSongDetails(page, pageTitle) {
+    const artist = await page.$eval(selectors().song.artist, el => el.getAttribute('content') || el.textContent.trim()).catch(() => null);
+    if (artist) {
+        const prefix = `${artist} - `;
+        return { artist, title: pageTitle.startsWith(prefix) ? pageTitle.slice(prefix.length) : pageTitle };
+    }
+    const match = pageTitle.match(/^(.+?)\s+-\s+(.+)$/);
+    return match ? { artist: match[1], title: match[2] } : { artist: null, title: pageTitle };
+}
+
+// The ID3 comment of every file: where it came from and how the mixer was set.
+function tagComment(songUrl, variant, enableClickTrack) {
+    const key = variant.key === 0 ? 'original key' : `key ${variant.key > 0 ? '+' : ''}${variant.key} semitones`;
+    return `Source: ${songUrl} | ${key} | tempo ${variant.tempo}% | intro click ${enableClickTrack ? 'on' : 'off'}`;
+}
+
+/**
+ * Opens a song page and waits for its mixer, with the 'Intro Click' precount set as wanted
+ * (left as it is when `enableClickTrack` is undefined).
+ * Also used to reload the page, which resets the mixer, between download attempts.
+ */
+async function loadSongPage(page, songUrl, { enableClickTrack, rateLimiter = NO_RATE_LIMIT }) {
+    await rateLimiter.wait();
+    await navigateToSongPage(page, songUrl);
+    await assertLoggedIn(page);
+    await handleCookieConsent(page);
+
+    // The mixer is in the main page, not an iframe. Wait for it to appear.
+    log.info('\nWaiting for the dynamic mixer to load...');
+    await page.waitForSelector(selectors().song.mixer, { timeout: 60000 });
+    log.info('✓ Mixer has loaded.');
+    if (enableClickTrack === undefined) return;
+
+    // Ensure "Click track" is checked, as you requested
+    const clickTrackSelector = selectors().song.precount;
+    await page.waitForSelector(clickTrackSelector, { timeout: 5000 });
+    const isChecked = await page.$eval(clickTrackSelector, el => el.checked);
+
+    if (enableClickTrack && !isChecked) {
+        await page.click(clickTrackSelector);
+        log.info("✓ Enabled 'Intro Click' track.");
+    } else if (!enableClickTrack && isChecked) {
+        await page.click(clickTrackSelector);
+        log.info("✓ Disabled 'Intro Click' track.");
+    } else {
+        log.info(`✓ 'Intro Click' track is already set to: ${isChecked ? 'Enabled' : 'Disabled'}.`);
+    }
+}
+
+// The song's title, from the page title: "Bohemian Rhapsody - Queen | Karaoke Version" -> "Bohemian Rhapsody - Queen".
+async function readSongTitle(page) {
+    return (await page.title()).split('|')[0].trim();
+}
+
+// A purchased song has a "Download" button; otherwise the button says "Add to cart".
+async function isPurchased(page) {
+    const downloadButton = await page.$(selectors().song.downloadButton);
+    const buttonText = downloadButton ? await page.evaluate(el => el.textContent.trim(), downloadButton) : '';
+    return Boolean(downloadButton) && buttonText.toLowerCase().includes('download');
+}
+
+// The names of the mixer's tracks, in mixer order.
+async function readTrackNames(page) {
+    const { song } = selectors();
+    return page.$$eval(song.track, (elements, captionSelector) =>
+        elements.map(el => el.querySelector(captionSelector)?.textContent.trim() || ''), song.trackCaption
+    );
+}
+
+/**
+ * Opens a song page and reads what it offers, without downloading anything.
+ * @param {import('puppeteer').Page} page
+ * @param {string} songUrl
+ * @param {object} [options]
+ * @param {{wait: function(): Promise<void>}} [options.rateLimiter]
+ * @param {object} [options.retryPolicy] See lib/retry.js.
+ * @returns {Promise<{url: string, title: string, artist: string|null, purchased: boolean,
+ *                    tracks: Array<{index: number, name: string}>}>}
+ */
+async function inspectSong(page, songUrl, { rateLimiter = NO_RATE_LIMIT, retryPolicy = DEFAULT_RETRY_POLICY } = {}) {
+    await withRetry('Loading the song page', () => loadSongPage(page, songUrl, { rateLimiter }), { policy: retryPolicy });
+    const songTitle = await readSongTitle(page);
+    const { artist, title } = await readSongDetails(page, songTitle);
+    const trackNames = await readTrackNames(page);
+    return {
+        url: songUrl,
+        title,
+        artist,
+        purchased: await isPurchased(page),
+        tracks: trackNames.map((name, index) => ({ index, name })),
+    };
+}
+
+/**
+ * Downloads every track of one song.
+ * @param {import('puppeteer').Page} page
+ * @param {string} songUrl
+ * @param {object} options
+ * @param {boolean} options.enableClickTrack Whether the 'Intro Click' precount should be on.
+ * @param {string} [options.downloadDir] Base folder; each song gets its own subfolder.
+ * @param {{template: string, mixTemplate: string}} [options.naming] How folders and files are named, see lib/naming.js.
+ * @param {'prompt'|'retry'|'skip'|'fail'} [options.onTimeout] What to do when a track download fails or times out.
+ * @param {function(string): Promise<'retry'|'skip'>} [options.askFailureAction] Asks what to do about a failed track,
+ *     once its retries are used up; needed by the 'prompt' policy.
+ * @param {object} [options.retryPolicy] Attempts and backoff for the page load and each track, see lib/retry.js.
+ * @param {boolean} [options.stems=true] Download every track on its own (solo).
+ * @param {object[]} [options.mixes] Custom mixes to download as well, see lib/mixes.js.
+ * @param {Array<{key: number, tempo: number}>} [options.variants] Key/tempo variants to download, see lib/variants.js.
+ * @param {string[]} [options.projects] DAW project formats to write once the tracks are downloaded, see lib/projects.js.
+ * @param {{wait: function(): Promise<void>}} [options.rateLimiter] Shared by the tabs downloading in parallel, see lib/ratelimit.js.
+ * @param {import('cli-progress').MultiBar} [options.progressBars] Draw the progress bar as a row of this MultiBar.
+ * @param {import('cli-progress').SingleBar} [options.progressBar] Or draw it with this bar. Without either nothing is drawn.
+ * @param {function(object, object): void} [options.onTrackDone] Called with each track's result (and its job) as soon as it is known.
+ * @param {function(object, number): void} [options.onTrackStart] Called with each job and attempt number before it is downloaded.
+ * @param {function(object, object): void} [options.onTrackFailed] Called when an attempt fails, see downloadAllTracks.
+ * @param {function(object, object): void} [options.onDownloadProgress] Called with the job and the bytes received so far.
+ * @returns {Promise<{success: boolean, songTitle: string, downloadPath?: string, reason?: string, tracks: object[]}>}
+ */
+async function processSong(page, songUrl, {
+    enableClickTrack,
+    downloadDir = DEFAULT_DOWNLOAD_DIR,
+    naming = { template: DEFAULT_TEMPLATE, mixTemplate: DEFAULT_MIX_TEMPLATE },
+    stems = true,
+    mixes = [],
+    variants = [DEFAULT_VARIANT],
+    onTimeout = 'prompt',
+    askFailureAction,
+    retryPolicy = DEFAULT_RETRY_POLICY,
+    projects = [],
+    rateLimiter = NO_RATE_LIMIT,
+    progressBars,
+    progressBar = SILENT_PROGRESS_BAR,
+    onTrackDone,
+    onTrackStart,
+    onTrackFailed,
+    onDownloadProgress,
+}) {
+    let success = false;
+    let cleanSongTitle = songUrl; // Default to URL if title can't be fetched
+    let downloadPath;
+    let reason;
+    let tracks = [];
+    try {
+        // Loading the page and setting up the mixer is retried with backoff; the downloads reload it too.
+        const reloadSongPage = () => withRetry('Loading the song page', () => loadSongPage(page, songUrl, {
+            enableClickTrack,
+            rateLimiter,
+        }), { policy: retryPolicy });
+        await reloadSongPage();
+
+        cleanSongTitle = await readSongTitle(page);
+        const songDetails = await readSongDetails(page, cleanSongTitle);
+        // The values of the naming template's song placeholders.
+        const songNames = { ...songDetails, song: cleanSongTitle };
+
+        // Reuse the folder this song was downloaded to before, even if it has been renamed since.
+        const knownFolder = findSongFolder(downloadDir, songUrl) || findLegacySongFolder(downloadDir, cleanSongTitle);
+        const folder = knownFolder || songFolderName(naming.template, songNames);
+        if (!knownFolder) assertFolderIsFree(downloadDir, folder, songUrl);
+        downloadPath = path.resolve(downloadDir, folder);
+        if (!fs.existsSync(downloadPath)) {
+            fs.mkdirSync(downloadPath, { recursive: true });
+        }
+
+        removeStaleDownloads(downloadPath);
+
+        // --- VERIFY SONG IS PURCHASED ---
+        // Check for the download button. If it's an "Add to Cart" button, the song isn't owned.
+        if (!(await isPurchased(page))) {
+            log.info('\n⚠️  This song has not been purchased (the "Download" button was not found).');
+            reason = 'not-purchased';
+            return { success, songTitle: cleanSongTitle, downloadPath, reason, tracks }; // Gracefully exit this song's processing
+        }
+
+        // Find all the tracks in the mixer. We will handle the "Intro count" track during the download loop.
+        const trackNames = await readTrackNames(page);
+        log.info(`Found ${trackNames.length} tracks in the mixer.`);
+
+        // The key and tempo controls are only touched when a variant actually changes them.
+        const changesPitch = variants.some(variant => !isDefaultVariant(variant));
+        const jobs = variants.flatMap(variant => {
+            const variantJobs = [
+                ...(stems ? trackNames.map((name, i) => stemJob(i, name, variant, trackFileName(naming.template, songNames, i, name, variant))) : []),
+                ...mixes.map(mix => mixJob(mix, trackNames, variant, mixFileName(naming.mixTemplate, mix.name, variant))),
+            ];
+            // Every variant is tagged as an album of its own, so players group its stems together.
+            const album = variantLabel(variant) ? `${songDetails.title} (${variantLabel(variant)})` : songDetails.title;
+            variantJobs.forEach((job, i) => {
+                job.variant = variant;
+                job.tags = {
+                    title: job.title,
+                    album,
+                    artist: songDetails.artist,
+                    albumArtist: songDetails.artist,
+                    track: i + 1,
+                    total: variantJobs.length,
+                    comment: tagComment(songUrl, variant, enableClickTrack),
+                };
+            });
+            return changesPitch ? variantJobs.map(job => withVariant(job, variant)) : variantJobs;
+        });
+        assertNoCollisions(jobs, downloadPath);
+        renameLegacyFiles(jobs, downloadPath);
+
+        // Remember which tracks this song has and which files were asked for, so a later sync can tell a
+        // partial download apart.
+        recordSong(downloadDir, songUrl, {
+            title: cleanSongTitle,
+            artist: songDetails.artist,
+            folder: path.relative(path.resolve(downloadDir), downloadPath),
+            tracks: trackNames.map((name, i) => ({ name, file: trackFileName(naming.template, songNames, i, name) })),
+            requested: jobs.map(job => ({ file: job.file, ...fileDetails(job) })),
+        });
+        if (mixes.length > 0) log.info(`Downloading ${mixes.length} custom mix(es): ${mixes.map(mix => mix.name).join(', ')}.`);
+        if (changesPitch) log.info(`Downloading ${variants.length} key/tempo variant(s): ${variants.map(v => variantLabel(v) || 'original').join(', ')}.`);
+
+        const progressPayload = { step: `Downloading "${cleanSongTitle}"`, transfer: '' };
+        const downloadProgressBar = progressBars ? progressBars.create(jobs.length, 0, progressPayload) : progressBar;
+        if (!progressBars) downloadProgressBar.start(jobs.length, 0, progressPayload);
+
+        // Every file on disk gets its size and checksum recorded in song.json.
+        const recordTrack = (result, job) => {
+            if (result.status === 'downloaded' || result.status === 'exists') {
+                recordFile(downloadPath, { file: result.file, ...fileDetails(job) });
+            }
+            if (onTrackDone) onTrackDone(result, job);
+        };
+
+        const downloadOptions = {
+            onTimeout,
+            askFailureAction,
+            onTrackDone: recordTrack,
+            onTrackStart,
+            onTrackFailed,
+            onDownloadProgress,
+            stagingDir: path.resolve(downloadDir, STAGING_FOLDER),
+            rateLimiter,
+            retryPolicy,
+            reloadPage: reloadSongPage,
+        };
+        try {
+            tracks = await downloadAllTracks(page, jobs, downloadPath, downloadProgressBar, downloadOptions);
+            tracks = await verifySongDownloads(page, jobs, tracks, downloadPath, downloadProgressBar, downloadOptions);
+        } finally {
+            // A row of a MultiBar is removed, to make room for the tab's next song.
+            if (progressBars) progressBars.remove(downloadProgressBar);
+            else downloadProgressBar.stop();
+        }
+
+        // Skipped or failed tracks mean the song is not complete.
+        success = tracks.every(track => track.status === 'downloaded' || track.status === 'exists');
+        if (!success) reason = 'incomplete';
+
+        if (projects.length > 0) writeSongProjects(downloadPath, projects);
+    } catch (error) {
+        // A 'fail' timeout policy must abort the whole run, not just this song,
+        // and an expired session is handled by the caller logging in again.
+        if (error instanceof TrackTimeoutError || error instanceof SessionExpiredError) throw error;
+        log.error(`\n❌ An error occurred while processing ${songUrl}: ${error.message}`);
+        log.debug(error.stack);
+        await captureDebugBundle(page, error, cleanSongTitle);
+        reason = error.message;
+    }
+    return { success, songTitle: cleanSongTitle, downloadPath, reason, tracks };
+}
+
+/**
+ * Compares the song's files with each other once they are all there (see lib/integrity.js). A file
+ * downloaded now that is much shorter than the others was cut off: it is downloaded once more, and removed
+ * and reported as failed if it still doesn't match. Files that were already there are only reported, and
+ * silent tracks are flagged with `silent: true`.
+ * @returns {Promise<object[]>} The track results, updated.
+ */
+async function verifySongDownloads(page, jobs, tracks, downloadPath, progressBar, downloadOptions) {
+    const check = () => {
+        const present = tracks.filter(track => track.status === 'downloaded' || track.status === 'exists');
+        const recorded = (readSongInfo(downloadPath) || {}).files || [];
+        return checkSongFiles(downloadPath, { files: present.map(track => track.file), recorded });
+    };
+    const jobFor = file => jobs.find(job => job.file === file);
+    const downloadedNow = file => tracks.some(track => track.file === file && track.status === 'downloaded');
+    const replace = results => {
+        tracks = tracks.map(track => results.find(result => result.file === track.file) || track);
+    };
+
+    let checks = check();
+    const cutOff = checks.filter(result => result.problems.length > 0 && downloadedNow(result.file));
+    if (cutOff.length > 0) {
+        log.warn(`\n⚠️  Downloading again: ${cutOff.map(result => `"${result.file}" (${result.problems.join('; ')})`).join(', ')}.`);
+        cutOff.forEach(result => fs.unlinkSync(path.join(downloadPath, result.file)));
+        const retryJobs = cutOff.map(result => jobFor(result.file));
+        progressBar.start(retryJobs.length, 0, { step: 'Downloading again', transfer: '' });
+        replace(await downloadAllTracks(page, retryJobs, downloadPath, progressBar, downloadOptions));
+
+        checks = check();
+        const failed = checks
+            .filter(result => result.problems.length > 0 && cutOff.some(previous => previous.file === result.file))
+            .map(result => {
+                fs.unlinkSync(path.join(downloadPath, result.file));
+                log.warn(`⚠️  "${result.file}" is still not right and was removed: ${result.problems.join('; ')}.`);
+                const track = { ...tracks.find(candidate => candidate.file === result.file), status: 'failed', reason: result.problems.join('; ') };
+                downloadOptions.onTrackDone(track, jobFor(result.file));
+                return track;
+            });
+        replace(failed);
+    }
+
+    for (const result of checks) {
+        if (result.problems.length > 0 && !cutOff.some(previous => previous.file === result.file)) {
+            log.warn(`⚠️  "${result.file}" was already there but looks damaged: ${result.problems.join('; ')}. Delete it to download it again.`);
+        }
+        if (result.silent && result.problems.length === 0) {
+            log.warn(`⚠️  "${result.file}" is completely silent.`);
+            replace([{ ...tracks.find(track => track.file === result.file), silent: true }]);
+        }
+    }
+    return tracks;
+}
+
+// Two songs must not share a folder: a folder that already holds another song means the naming template
+// gives both the same name.
+function assertFolderIsFree(downloadDir, folder, songUrl) {
+    const info = readSongInfo(path.join(downloadDir, folder));
+    if (info && info.url && info.url !== songUrl) {
+        throw new DownloaderError(
+            `The folder "${folder}" already holds another song (${info.url}). Add {artist} or {title} to the naming template to tell them apart.`,
+            EXIT_CODES.USAGE
+        );
+    }
+}
+
+// A folder the versions before song.json downloaded the song to, named after its title, or null.
+function findLegacySongFolder(downloadDir, songTitle) {
+    const folder = legacyNames.songFolder(songTitle);
+    const folderPath = path.join(downloadDir, folder);
+    if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory() || readSongInfo(folderPath)) return null;
+    log.info(`Found the folder "${folder}" of an earlier download.`);
+    return folder;
+}
+
+// Files of an earlier version, named like "02 - Bass _Synth_.mp3", get their current name instead of being
+// downloaded again.
+function renameLegacyFiles(jobs, downloadPath) {
+    for (const job of jobs) {
+        const legacyFile = job.mix ? legacyNames.mix(job.title, job.variant) : legacyNames.track(job.index, job.title, job.variant);
+        const legacyPath = path.join(downloadPath, legacyFile);
+        const filePath = path.join(downloadPath, job.file);
+        if (legacyFile === job.file || fs.existsSync(filePath) || !fs.existsSync(legacyPath)) continue;
+        fs.renameSync(legacyPath, filePath);
+        renameRecordedFile(downloadPath, legacyFile, job.file);
+        log.info(`Renamed "${legacyFile}" to "${job.file}".`);
+    }
+}
+
+// Every download needs a file of its own: two jobs with the same file name, or a file on disk that song.json
+// records as another track, would silently overwrite or skip one of them.
+function assertNoCollisions(jobs, downloadPath) {
+    const [collision] = findCollisions(jobs);
+    if (collision) {
+        throw new DownloaderError(
+            `${collision.names.map(name => `"${name}"`).join(' and ')} would be saved as the same file "${collision.file}". ` +
+            'Change the naming template, e.g. add {index} or {variant}.',
+            EXIT_CODES.USAGE
+        );
+    }
+    const recorded = (readSongInfo(downloadPath) || {}).files || [];
+    for (const job of jobs) {
+        const other = recorded.find(entry => entry.file === job.file);
+        if (other && (other.name !== job.title || (other.key ?? DEFAULT_VARIANT.key) !== job.variant.key
+            || (other.tempo ?? DEFAULT_VARIANT.tempo) !== job.variant.tempo)) {
+            throw new DownloaderError(
+                `"${job.name}" would be saved as "${job.file}", which already holds "${other.name}". ` +
+                'Change the naming template, or move the file away.',
+                EXIT_CODES.USAGE
+            );
+        }
+    }
+}
+
+// A project file that can't be written is worth a warning, not a failed song: the tracks are all there.
+function writeSongProjects(downloadPath, formats) {
+    try {
+        const written = writeProjects(downloadPath, formats);
+        if (written.length > 0) {
+            log.info(`✓ Wrote project file(s): ${written.map(file => path.basename(file)).join(', ')}`);
+        }
+    } catch (error) {
+        log.warn(`⚠️  Could not write the project files: ${error.message}`);
+    }
+}
+
+/**
+ * Lists the purchased songs of the "My Downloads" pages, sorted by name.
+ * @returns {Promise<Array<{name: string, url: string}>>}
+ */
+async function fetchPurchasedSongs(page) {
+    log.info('\nFetching your purchased songs...');
+    await page.goto(ACCOUNT_URL, { waitUntil: 'networkidle2' });
+    log.debug(`Navigated to: ${page.url()}`); // Log the current URL
+    await assertLoggedIn(page);
+
+    const { downloads: list } = selectors();
+    const songListSelector = list.songCell;
+    log.debug(`Waiting for selector: "${songListSelector}" with timeout 30000ms...`);
+    await page.waitForSelector(songListSelector, { timeout: 30000 }); // Increased timeout for debugging
+    log.debug(`Selector "${songListSelector}" found!`);
+
+    const collectedSongs = []; // This will store all songs, including potential duplicates
+    const collectedSongUrls = new Set(); // This will track unique song URLs to detect the end of pagination
+    let pageNumber = 1; // Start page number at 1
+
+    // Loop to handle multiple pages of downloads
+    while (true) {
+        // Scrape songs currently visible on the page
+        // Get the URL of the first song on the current page to detect content change later
+        const firstSongOnPageHref = await page.$eval(songListSelector, (el, linkSelector) => el.querySelector(linkSelector)?.href, list.songLink)
+            .catch(() => null);
+
+        const songsOnPage = await page.$$eval(songListSelector, (lines, linkSelector) =>
+            lines.map(line => { // Map each song element to its data
+                const anchor = line.querySelector(linkSelector);
+                if (!anchor) return null;
+                const name = anchor.textContent.trim();
+                // The URL is unique, it is used for the deduplication later
+                return { name, url: anchor.href };
+            }).filter(Boolean), list.songLink
+        );
+
+        const initialUniqueCount = collectedSongUrls.size;
+
+        // Add the songs from the current page to our master list
+        collectedSongs.push(...songsOnPage);
+        // Also add their URLs to our Set for quick uniqueness checks
+        songsOnPage.forEach(song => collectedSongUrls.add(song.url));
+
+        const newUniqueCount = collectedSongUrls.size - initialUniqueCount;
+
+        log.debug(`Scraped ${songsOnPage.length} songs from page ${pageNumber}. Found ${newUniqueCount} new unique songs. Total unique: ${collectedSongUrls.size}`);
+
+        // If we are on page 2 or later and we didn't find any new unique songs, we are done.
+        if (pageNumber > 1 && newUniqueCount === 0) {
+            log.info('No new unique songs found on this page. Assuming all pages have been scraped.');
+            break;
+        }
+
+        // Look for a "next" page link.
+        const nextButton = await page.$(list.nextPageLink);
+
+        if (nextButton) {
+            pageNumber++;
+            log.info(`Found "next" page link. Navigating to page ${pageNumber}...`);
+
+            try {
+                // Scroll the 'next' button into view to ensure it's clickable, a common headless mode fix.
+                await page.evaluate(el => el.scrollIntoView({ block: 'center' }), nextButton);
+                await new Promise(resolve => setTimeout(resolve, 250)); // Brief pause after scroll
+
+                // Click the button to trigger the page change.
+                await nextButton.click();
+
+                // Wait for the content to actually change by checking if the first song's URL is different.
+                // This is more reliable than waitForNavigation for pages that load content with JavaScript.
+                await page.waitForFunction(
+                    (selector, linkSelector, previousHref) => {
+                        const currentFirstSong = document.querySelector(selector);
+                        const currentFirstSongHref = currentFirstSong ? currentFirstSong.querySelector(linkSelector)?.href : null;
+                        // Return true when the new content has loaded and the URL is different.
+                        return currentFirstSongHref !== previousHref;
+                    },
+                    { timeout: 20000 }, // Increased timeout for headless mode
+                    songListSelector,
+                    list.songLink,
+                    firstSongOnPageHref
+                );
+            } catch (e) {
+                log.info(`Pagination failed while navigating to page ${pageNumber}. Assuming it's the last page. Error: ${e.message}`);
+                break;
+            }
+        } else {
+            log.info('No "next" page link found. Assuming all pages have been scraped.');
+            break; // Exit the loop if there's no next page
+        }
+    }
+
+    // Now that we have all songs (including duplicates), create a unique list
+    const uniqueSongs = Array.from(new Map(collectedSongs.map(song => [song.url, song])).values());
+
+    // Sort songs alphabetically by name for a clean presentation in the menu
+    uniqueSongs.sort((a, b) => a.name.localeCompare(b.name));
+
+    log.info(`✓ Found ${uniqueSongs.length} unique purchased songs.`);
+    return uniqueSongs;
+}
+
+// Tells the downloads of key/tempo variants apart in messages, e.g. "Lead Vocal -2st_90pct".
+const variantSuffix = variant => (variantLabel(variant) ? ` ${variantLabel(variant)}` : '');
+
+// Scrolls a mixer button into view and clicks it, a common headless mode fix.
+async function clickMixerButton(page, button) {
+    await page.evaluate(el => {
+        el.scrollIntoView({ block: 'center', inline: 'center' });
+    }, button);
+    await pause(250); // Brief pause after scroll
+    await button.click();
+}
+
+// Clicks a button of one mixer track, e.g. its solo button. Returns the button, or null if it wasn't found.
+async function clickTrackButton(page, index, buttonSelector) {
+    // Re-fetch the track element every time to prevent "stale element" errors
+    const track = (await page.$$(selectors().song.track))[index];
+    const button = track ? await track.$(buttonSelector) : null;
+    if (button) await clickMixerButton(page, button);
+    return button;
+}
+
+// Moves the volume slider of one mixer track to a percentage of its range. Returns the previous slider value.
+async function setTrackVolume(page, index, percent) {
+    const track = (await page.$$(selectors().song.track))[index];
+    const slider = track ? await track.$(selectors().song.trackVolume) : null;
+    if (!slider) return null;
+    return page.evaluate((el, value) => {
+        const previous = el.value;
+        const min = Number(el.min || 0);
+        const max = Number(el.max || 100);
+        el.value = typeof value === 'string' ? value : String(min + ((max - min) * value) / 100);
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        return previous;
+    }, slider, percent);
+}
+
+// Reads the number shown by a key or tempo control, e.g. "-2" or "90%".
+async function readControlValue(page, selector) {
+    const text = await page.$eval(selector, el => el.textContent).catch(() => null);
+    // Some labels use the Unicode minus sign.
+    const match = text && text.replace('\u2212', '-').match(/[-+]?\d+/);
+    return match ? Number(match[0]) : null;
+}
+
+// Clicks a key or tempo control's -/+ buttons until it shows the target value.
+async function setPitchControl(page, control, target, label) {
+    const MAX_CLICKS = 100;
+    for (let clicks = 0; clicks < MAX_CLICKS; clicks++) {
+        const current = await readControlValue(page, control.value);
+        if (current === null) throw new DownloaderError(`Could not read the ${label} setting of the mixer.`);
+        if (current === target) return;
+
+        const button = await page.$(current < target ? control.up : control.down);
+        if (!button) throw new DownloaderError(`Could not find the button to change the ${label} of the mixer.`);
+        await clickMixerButton(page, button);
+
+        const after = await readControlValue(page, control.value);
+        if (after === current) {
+            throw new DownloaderError(`The ${label} of the mixer can't go past ${current} (wanted ${target}).`);
+        }
+        if ((current < target && after > target) || (current > target && after < target)) {
+            throw new DownloaderError(`The ${label} of the mixer can't be set to exactly ${target}, it went from ${current} to ${after}.`);
+        }
+    }
+    throw new DownloaderError(`Gave up setting the ${label} of the mixer to ${target}.`);
+}
+
+async function applyVariant(page, variant) {
+    const controls = pitchControls();
+    await setPitchControl(page, controls.key, variant.key, 'key');
+    await setPitchControl(page, controls.tempo, variant.tempo, 'tempo');
+}
+
+// What song.json records about the file of a download job, see lib/library.js.
+function fileDetails(job) {
+    return {
+        name: job.title,
+        kind: job.mix ? 'mix' : 'stem',
+        ...(job.mix ? {} : { index: job.index + 1 }),
+        key: job.variant.key,
+        tempo: job.variant.tempo,
+    };
+}
+
+// Wraps a download job so the mixer's key and tempo are set to the variant first.
+function withVariant(job, variant) {
+    return {
+        ...job,
+        apply: async page => {
+            await applyVariant(page, variant);
+            return job.apply(page);
+        },
+    };
+}
+
+/**
+ * A download job for one isolated stem: solo the track, download, un-solo.
+ * `apply` sets the mixer up and returns a function that puts it back.
+ */
+function stemJob(index, trackName, variant, file) {
+    return {
+        name: `${trackName}${variantSuffix(variant)}`,
+        title: trackName,
+        index,
+        file,
+        apply: async page => {
+            // Click the 'Solo' button for the current track to isolate it for download.
+            // Without it we would download the whole mix under the track's name, so this attempt fails.
+            const soloButton = await clickTrackButton(page, index, selectors().song.trackSolo);
+            if (!soloButton) throw new Error(`Could not find the solo button of track "${trackName}"`);
+            // Un-solo the track to prepare for the next one.
+            return async () => {
+                await clickTrackButton(page, index, selectors().song.trackSolo);
+            };
+        },
+    };
+}
+
+/** A download job for a custom mix: set every mute, solo and volume of the mix, download, undo them. */
+function mixJob(mix, trackNames, variant, file) {
+    return {
+        name: `${mix.name}${variantSuffix(variant)}`,
+        title: mix.name,
+        file,
+        mix: true,
+        apply: async page => {
+            const undo = [];
+            const resolve = trackName => {
+                const index = findTrackIndex(trackNames, trackName);
+                if (index === -1) log.warn(`Mix "${mix.name}": no track matches "${trackName}", ignoring it.`);
+                return index;
+            };
+
+            const { song } = selectors();
+            for (const [rules, buttonSelector] of [[mix.solo, song.trackSolo], [mix.mute, song.trackMute]]) {
+                for (const trackName of rules) {
+                    const index = resolve(trackName);
+                    if (index === -1) continue;
+                    if (await clickTrackButton(page, index, buttonSelector)) {
+                        undo.push(() => clickTrackButton(page, index, buttonSelector));
+                    } else {
+                        log.warn(`Mix "${mix.name}": could not find the ${buttonSelector} button of "${trackName}".`);
+                    }
+                }
+            }
+            for (const [trackName, percent] of Object.entries(mix.volume)) {
+                const index = resolve(trackName);
+                if (index === -1) continue;
+                const previous = await setTrackVolume(page, index, percent);
+                if (previous !== null) {
+                    undo.push(() => setTrackVolume(page, index, previous));
+                } else {
+                    log.warn(`Mix "${mix.name}": could not find the volume slider of "${trackName}".`);
+                }
+            }
+
+            return async () => {
+                for (const step of undo.reverse()) await step();
+            };
+        },
+    };
+}
+
+// Decides what happens after a failed track download. 'skip' moves on at the first failure; the other
+// policies retry while the retry policy allows it, then give up, abort the run or (interactive mode) ask.
+async function resolveFailureAction(onTimeout, trackName, attempt, retryPolicy, askFailureAction) {
+    const canRetry = attempt < retryPolicy.attempts;
+    switch (onTimeout) {
+        case 'prompt':
+            if (canRetry) return 'retry';
+            if (!askFailureAction) {
+                throw new DownloaderError("The 'prompt' timeout policy needs a way to ask what to do.", EXIT_CODES.USAGE);
+            }
+            return askFailureAction(trackName);
+        case 'retry':
+            return canRetry ? 'retry' : 'give-up';
+        case 'skip':
+            return 'skip';
+        case 'fail':
+            return canRetry ? 'retry' : 'fail';
+        default:
+            throw new DownloaderError(`Unknown timeout policy "${onTimeout}".`, EXIT_CODES.USAGE);
+    }
+}
+
+/**
+ * Runs the download jobs (stems and mixes) one after the other.
+ * Each download is followed through the browser's download events, see lib/downloads.js.
+ * A failed download is retried according to the retry policy, waiting longer each time and reloading the page first.
+ * @param {object} [options]
+ * @param {string} [options.stagingDir] Where the browser saves the files before they are moved to downloadPath.
+ * @param {{wait: function(): Promise<void>}} [options.rateLimiter] Spaces out the download requests.
+ * @param {object} [options.retryPolicy] See lib/retry.js.
+ * @param {function(): Promise<void>} [options.reloadPage] Reloads the song page and sets its mixer up again.
+ * @param {function(string): Promise<'retry'|'skip'>} [options.askFailureAction] For the 'prompt' policy.
+ * @param {function(object, object): void} [options.onTrackDone] Called with each track's result and its job.
+ * @param {function(object, number): void} [options.onTrackStart] Called with the job and the attempt number.
+ * @param {function(object, {attempt: number, reason: string, action: string}): void} [options.onTrackFailed]
+ *     Called after a failed attempt, with what happens next: 'retry', 'skip', 'give-up' or 'fail'.
+ * @param {function(object, object): void} [options.onDownloadProgress] Called with the job and
+ *     `{receivedBytes, totalBytes, bytesPerSecond}` while a file downloads.
+ * @returns {Promise<Array<{name: string, file: string, mix?: boolean, status: 'downloaded'|'exists'|'skipped'|'failed',
+ *                         attempts?: number, reason?: string}>>}
+ */
+async function downloadAllTracks(page, jobs, downloadPath, progressBar, {
+    onTimeout = 'prompt',
+    askFailureAction,
+    onTrackDone,
+    onTrackStart,
+    onTrackFailed,
+    onDownloadProgress,
+    stagingDir = path.join(downloadPath, '..', STAGING_FOLDER),
+    rateLimiter = NO_RATE_LIMIT,
+    retryPolicy = DEFAULT_RETRY_POLICY,
+    reloadPage,
+} = {}) {
+    // Centralize the download timeout for easier configuration.
+    // A download times out when nothing happens for this long: not starting, or no bytes coming in.
+    const DOWNLOAD_TIMEOUT_MS = 180000; // 3 minutes
+    const results = [];
+    const downloads = await trackDownloads(page, stagingDir);
+
+    // One attempt at a job. Returns null when the file was downloaded, otherwise why it wasn't.
+    const attemptDownload = async job => {
+        // Set the mixer up for this track or mix (solo, mutes, volumes).
+        const restoreMixer = await job.apply(page);
+        let failure;
+        try {
+            failure = await downloadWithMixer(job);
+        } catch (error) {
+            // Put the mixer back for the next job whatever happened; the attempt's own error is the one to report.
+            await restoreMixer().catch(restoreError => log.debug(`Could not restore the mixer: ${restoreError.message}`));
+            throw error;
+        }
+        // Put the mixer back the way it was to prepare for the next one.
+        await restoreMixer();
+        return failure;
+    };
+
+    // Downloads a job once the mixer is set up for it.
+    const downloadWithMixer = async job => {
+        const finalFilePath = path.join(downloadPath, job.file);
+        // Wait a moment for the mix to update
+        await pause(1000);
+
+        // Start listening before clicking, so a download that starts right away isn't missed.
+        await rateLimiter.wait();
+        progressBar.update({ step: `Downloading "${job.file}"`, transfer: '' });
+        const waitForDownload = new AbortController();
+        const download = downloads.nextDownload({
+            timeout: DOWNLOAD_TIMEOUT_MS,
+            signal: waitForDownload.signal,
+            onProgress: transfer => {
+                progressBar.update({ transfer: formatTransfer(transfer) });
+                if (onDownloadProgress) onDownloadProgress(job, transfer);
+            },
+        });
+
+        // Click the main download button
+        try {
+            const downloadButtonSelector = selectors().song.downloadButton;
+            await page.waitForSelector(downloadButtonSelector, { timeout: 10000 });
+            await page.click(downloadButtonSelector);
+        } catch (error) {
+            // Without the click no download is coming: stop waiting, or the next job's download would be taken for this one.
+            waitForDownload.abort();
+            await download;
+            throw error;
+        }
+
+        // --- Wait for download to complete and rename the file ---
+        const outcome = await download;
+        // A completed download can still be an error page or a cut-off file: it is checked before it is kept.
+        let invalid = null;
+        if (outcome.status === 'completed') {
+            const { problems } = checkMp3File(outcome.filePath);
+            if (problems.length > 0) {
+                fs.unlinkSync(outcome.filePath);
+                invalid = `the downloaded file is not a valid MP3: ${problems.join('; ')}`;
+            }
+        }
+        if (outcome.status === 'completed' && !invalid) {
+            // Update the progress bar to show the final filename being created
+            progressBar.update({ step: `Creating "${job.file}"` });
+            fs.renameSync(outcome.filePath, finalFilePath);
+            try {
+                writeTags(finalFilePath, job.tags);
+            } catch (error) {
+                log.warn(`\n⚠️  Could not write the ID3 tags of "${job.file}": ${error.message}`);
+            }
+        }
+
+        // --- Close the download confirmation modal ---
+        try {
+            const closeModalSelector = selectors().song.downloadModalClose;
+            await page.waitForSelector(closeModalSelector, { visible: true, timeout: 5000 });
+            await page.click(closeModalSelector);
+        } catch (e) {
+            // This is not critical, so we just log it informatively.
+            // log.info(`(Info) Download modal not found for track "${job.name}", continuing...`);
+        }
+
+        if (invalid) return invalid;
+        if (outcome.status === 'completed') return null;
+        return outcome.status === 'canceled' ? 'the download was cancelled or failed' : 'the download timed out';
+    };
+
+    for (let i = 0; i < jobs.length; i++) {
+        const job = jobs[i];
+        const trackName = job.name;
+        const finalFileName = job.file;
+        const result = { name: trackName, file: finalFileName, ...(job.mix ? { mix: true } : {}) };
+        let attempt = 0;
+
+        while (!result.status) {
+            // If the file already exists, skip the download process for this track
+            if (fs.existsSync(path.join(downloadPath, finalFileName))) {
+                progressBar.update({ step: `Skipping "${finalFileName}" (already exists)`, transfer: '' });
+                result.status = 'exists';
+                continue; // Move to the next track in the outer loop
+            }
+
+            attempt++;
+            if (onTrackStart) onTrackStart(job, attempt);
+            let failure;
+            try {
+                failure = await attemptDownload(job);
+            } catch (error) {
+                // A logged out session is handled by the caller; anything else is worth another attempt.
+                if (error instanceof SessionExpiredError) throw error;
+                failure = error.message;
+            }
+            if (!failure) {
+                result.status = 'downloaded';
+                if (attempt > 1) result.attempts = attempt;
+                continue;
+            }
+
+            // --- DOWNLOAD FAILED ---
+            progressBar.stop(); // Pause the progress bar for the prompt
+            await captureDebugBundle(page, failure, trackName);
+            // The download may have been refused because we were logged out meanwhile.
+            await assertLoggedIn(page);
+            log.warn(`\n\n⚠️  "${trackName}" failed (attempt ${attempt} of ${retryPolicy.attempts}): ${failure}.`);
+
+            const action = await resolveFailureAction(onTimeout, trackName, attempt, retryPolicy, askFailureAction);
+            if (onTrackFailed) onTrackFailed(job, { attempt, reason: failure, action });
+
+            if (action === 'fail') {
+                throw new TrackTimeoutError(trackName, failure);
+            } else if (action === 'skip') {
+                Object.assign(result, { status: 'skipped', attempts: attempt, reason: failure });
+                log.info(`Skipping track "${trackName}".`);
+            } else if (action === 'give-up') {
+                Object.assign(result, { status: 'failed', attempts: attempt, reason: failure });
+                log.info(`Giving up on track "${trackName}" after ${attempt} attempts.`);
+            } else {
+                const delay = backoffDelay(retryPolicy, attempt);
+                log.info(`Retrying download for "${trackName}" in ${Math.round(delay / 1000)}s...`);
+                await pause(delay);
+            }
+            // A fresh page resets a mixer that may have been left half set up, e.g. by a job that could not
+            // apply all of its settings, for the next attempt or the next job.
+            if (reloadPage) await reloadPage();
+            const step = action === 'retry' ? `Retrying "${trackName}"` : '';
+            progressBar.start(jobs.length, i, { step, transfer: '' }); // Resume progress bar
+        }
+
+        results.push(result);
+        if (onTrackDone) onTrackDone(result, job);
+        progressBar.increment();
+    }
+
+    return results;
+}
+
+module.exports = {
+    DEFAULT_DOWNLOAD_DIR,
+    DEFAULT_PROFILE_DIR,
+    LOGIN_URL,
+    ACCOUNT_URL,
+    launchBrowser,
+    browserOptions,
+    login,
+    isLoginPage,
+    navigateToSongPage,
+    handleCookieConsent,
+    inspectSong,
+    processSong,
+    createProgressBar,
+    createMultiProgressBar,
+    fetchPurchasedSongs,
+    downloadAllTracks,
+};
@@ -0,0 +1,29 @@
+// lib/util.js
+// Small helpers shared by several modules.
+const fs = require('fs');
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Writes a JSON file through a temporary file, so an interruption never leaves a half-written file.
+ * @param {string} filePath
+ * @param {*} data
+ */
+function writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Calls `handler` on the next Ctrl-C. The handler is prepended so it runs before puppeteer's own SIGINT
+ * handler, which closes the browser and exits the process.
+ * @param {function(): void} handler
+ * @returns {function(): void} Removes the handler.
+ */
+function onInterrupt(handler) {
+    process.prependOnceListener('SIGINT', handler);
+    return () => process.removeListener('SIGINT', handler);
+}
+
+module.exports = { pause, writeJsonAtomic, onInterrupt };
@@ -0,0 +1,76 @@
+// lib/variants.js
+// Key (pitch) and tempo variants of a song, e.g. two semitones down at 90% speed.
+// A variant is written as `-2st`, `90pct` (or `90%`), or both joined with `_`: `-2st_90pct`.
+// The same notation is appended to the file names, so every variant gets its own files.
+const { EXIT_CODES, DownloaderError } = require('./errors');
+
+const DEFAULT_VARIANT = { key: 0, tempo: 100 };
+
+// Limits of the mixer's key and tempo controls.
+const KEY_RANGE = [-12, 12];
+const TEMPO_RANGE = [50, 200];
+
+function isDefaultVariant(variant) {
+    return variant.key === DEFAULT_VARIANT.key && variant.tempo === DEFAULT_VARIANT.tempo;
+}
+
+function validateVariant(variant) {
+    if (!Number.isInteger(variant.key) || variant.key < KEY_RANGE[0] || variant.key > KEY_RANGE[1]) {
+        throw new DownloaderError(`The key must be a whole number of semitones between ${KEY_RANGE[0]} and +${KEY_RANGE[1]}.`, EXIT_CODES.USAGE);
+    }
+    if (!Number.isInteger(variant.tempo) || variant.tempo < TEMPO_RANGE[0] || variant.tempo > TEMPO_RANGE[1]) {
+        throw new DownloaderError(`The tempo must be a whole percentage between ${TEMPO_RANGE[0]} and ${TEMPO_RANGE[1]}.`, EXIT_CODES.USAGE);
+    }
+    return variant;
+}
+
+function parseVariantSpec(spec) {
+    const variant = { ...DEFAULT_VARIANT };
+    for (const part of spec.split(/[_,\s]+/).filter(Boolean)) {
+        const key = part.match(/^([-+]?\d+)st$/i);
+        const tempo = part.match(/^(\d+)(pct|%)$/i);
+        if (key) {
+            variant.key = Number(key[1]);
+        } else if (tempo) {
+            variant.tempo = Number(tempo[1]);
+        } else {
+            throw new DownloaderError(`Invalid variant "${spec}". Use e.g. -2st, 90pct or -2st_90pct.`, EXIT_CODES.USAGE);
+        }
+    }
+    return validateVariant(variant);
+}
+
+// "-2st_90pct", "+3st", "110pct", or '' for the original key and tempo.
+function variantLabel(variant) {
+    const parts = [];
+    if (variant.key !== DEFAULT_VARIANT.key) parts.push(`${variant.key > 0 ? '+' : ''}${variant.key}st`);
+    if (variant.tempo !== DEFAULT_VARIANT.tempo) parts.push(`${variant.tempo}pct`);
+    return parts.join('_');
+}
+
+/**
+ * The variants requested on the command line: --key/--tempo make one variant, each --variant adds another.
+ * Without any of them, only the original key and tempo are downloaded.
+ */
+function variantsFromOptions({ key, tempo, variant: specs = [] }) {
+    const variants = [];
+    if (key !== undefined || tempo !== undefined) {
+        variants.push(validateVariant({
+            key: key !== undefined ? Number(key) : DEFAULT_VARIANT.key,
+            tempo: tempo !== undefined ? Number(tempo) : DEFAULT_VARIANT.tempo,
+        }));
+    }
+    variants.push(...specs.map(parseVariantSpec));
+
+    // The same variant asked for twice would only find its files already there.
+    const unique = Array.from(new Map(variants.map(v => [variantLabel(v), v])).values());
+    return unique.length > 0 ? unique : [{ ...DEFAULT_VARIANT }];
+}
+
+module.exports = {
+    DEFAULT_VARIANT,
+    isDefaultVariant,
+    parseVariantSpec,
+    variantLabel,
+    variantsFromOptions,
+};
@@ -0,0 +1,263 @@
+// lib/watch.js
+// `kv-downloader watch`: checks the purchased songs every few minutes, downloads the ones it has not seen
+// before and reports every finished song to a webhook and/or a local command.
+//
+// The songs seen so far are kept in watch-state.json, so a restart neither downloads them again nor misses
+// the songs bought while it was not running. A song that fails is tried again at the next checks, up to
+// MAX_WATCH_ATTEMPTS times; a song with some tracks missing is reported once, `sync` can finish it.
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { EXIT_CODES, DownloaderError, LoginError } = require('./errors');
+const { log } = require('./logger');
+const { summarizeQueue } = require('./queue');
+const { pause, writeJsonAtomic } = require('./util');
+
+const DEFAULT_WATCH_STATE_PATH = path.resolve(__dirname, '..', 'watch-state.json');
+const DEFAULT_WATCH_INTERVAL_MINUTES = 60;
+const MAX_WATCH_ATTEMPTS = 3;
+// A notification that takes longer is given up, so a hanging webhook can't stall the downloads.
+const NOTIFY_TIMEOUT_MS = 30000;
+
+function loadWatchState(statePath = DEFAULT_WATCH_STATE_PATH) {
+    if (!fs.existsSync(statePath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    } catch (error) {
+        throw new DownloaderError(`Could not read the watch state file ${statePath}: ${error.message}`, EXIT_CODES.ERROR);
+    }
+}
+
+function saveWatchState(state, statePath = DEFAULT_WATCH_STATE_PATH) {
+    writeJsonAtomic(statePath, state);
+}
+
+/**
+ * The purchased songs to download now: the ones never seen, the ones interrupted before they finished
+ * and the failed ones that have attempts left.
+ * @param {{songs: object}} state
+ * @param {Array<{name: string, url: string}>} purchasedSongs
+ */
+function songsToDownload(state, purchasedSongs) {
+    return purchasedSongs.filter(song => {
+        const seen = state.songs[song.url];
+        if (!seen || seen.status === 'pending') return true;
+        return seen.status === 'failed' && (seen.attempts || 0) < MAX_WATCH_ATTEMPTS;
+    });
+}
+
+/**
+ * What is sent for one finished song of the queue. `text` is a readable summary, which chat webhooks
+ * (Slack, Mattermost and the like) show as the message.
+ * @param {object} song A song of the queue, see lib/queue.js.
+ */
+function songNotification(song) {
+    const { tracks } = summarizeQueue({ songs: [song] });
+    const missing = song.tracks.filter(track => track.status === 'skipped' || track.status === 'failed');
+    const ok = song.status === 'complete';
+    const text = ok
+        ? `✅ Downloaded "${song.title}" (${tracks.downloaded + tracks.exists} tracks).`
+        : `❌ "${song.title}" was not downloaded completely: ${song.status}${song.reason && song.reason !== 'incomplete' ? ` (${song.reason})` : ''}`
+            + `${missing.length > 0 ? `, missing ${missing.map(track => track.name).join(', ')}` : ''}.`;
+    return {
+        event: ok ? 'song-downloaded' : 'song-failed',
+        text,
+        song: { url: song.url, title: song.title, status: song.status, reason: song.reason },
+        tracks,
+        failedTracks: missing.map(({ name, file, status, reason }) => ({ name, file, status, reason })),
+        at: new Date().toISOString(),
+    };
+}
+
+// A check that failed as a whole, e.g. the site could not be reached.
+function errorNotification(error) {
+    return { event: 'watch-error', text: `⚠️  Checking for new songs failed: ${error.message}`, error: error.message, at: new Date().toISOString() };
+}
+
+async function postWebhook(url, payload) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`the webhook answered ${response.status} ${response.statusText}`);
+}
+
+// Runs the command through the shell with the notification as JSON on stdin and its main fields in
+// KV_* environment variables. Its output is only logged at the debug level.
+function runCommandHook(command, payload) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, {
+            shell: true,
+            stdio: ['pipe', 'pipe', 'pipe'],
+            env: {
+                ...process.env,
+                KV_EVENT: payload.event,
+                KV_TEXT: payload.text,
+                KV_SONG_URL: payload.song ? payload.song.url : '',
+                KV_SONG_TITLE: payload.song ? payload.song.title : '',
+                KV_SONG_STATUS: payload.song ? payload.song.status : '',
+            },
+        });
+        let output = '';
+        const collect = chunk => { output += chunk; };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`the command took longer than ${NOTIFY_TIMEOUT_MS / 1000}s`));
+        }, NOTIFY_TIMEOUT_MS);
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (output.trim()) log.debug(`Hook output: ${output.trim()}`);
+            if (code === 0) resolve();
+            else reject(new Error(`the command exited with code ${code}${output.trim() ? `: ${output.trim().split('\n').pop()}` : ''}`));
+        });
+        // A command that doesn't read its input closes it early; that is not an error.
+        child.stdin.on('error', () => {});
+        child.stdin.end(JSON.stringify(payload));
+    });
+}
+
+/**
+ * Sends a notification to the webhook and the command hook, whichever are set.
+ * A failed notification is only logged: it never stops the watch.
+ * @param {object} payload
+ * @param {{webhook?: string, command?: string}} hooks
+ */
+async function notify(payload, { webhook, command } = {}) {
+    if (webhook) {
+        await postWebhook(webhook, payload).catch(error => log.warn(`⚠️  Could not notify the webhook: ${error.message}`));
+    }
+    if (command) {
+        await runCommandHook(command, payload).catch(error => log.warn(`⚠️  The notification command failed: ${error.message}`));
+    }
+}
+
+// Checks a webhook URL before the first check, so a typo doesn't go unnoticed until the first song.
+function validateWebhook(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw new DownloaderError(`The webhook "${url}" is not an http(s) URL.`, EXIT_CODES.USAGE);
+    }
+}
+
+// Records the outcome of the songs of a queue in the watch state and notifies the finished ones.
+async function recordQueueResults(state, queue, statePath, hooks) {
+    const finished = [];
+    for (const song of queue.songs) {
+        const seen = state.songs[song.url];
+        // A song the queue never got to (an aborted run) is picked up again at the next check.
+        if (song.status === 'pending' || song.status === 'in-progress') continue;
+        Object.assign(seen, {
+            status: song.status,
+            attempts: (seen.attempts || 0) + 1,
+            finishedAt: new Date().toISOString(),
+            ...(song.title ? { name: song.title } : {}),
+        });
+        if (song.reason) seen.reason = song.reason;
+        else delete seen.reason;
+        saveWatchState(state, statePath);
+        finished.push(song);
+        await notify(songNotification(song), hooks);
+    }
+    return finished;
+}
+
+/**
+ * Checks the purchased songs, downloads the new ones and notifies the results; with `once`, a single time.
+ * Only a refused login or a usage error ends the watch; any other failed check is reported and the next
+ * check tries again.
+ * @param {import('./client').KaraokeVersionClient} client A logged in client.
+ * @param {object} options
+ * @param {function(Array<{name: string, url: string}>): Promise<object>} options.downloadSongs Downloads the
+ *     songs as a queue and returns it, see lib/queue.js.
+ * @param {string} [options.statePath] Where the songs seen so far are kept.
+ * @param {number} [options.intervalMinutes] The time between two checks.
+ * @param {boolean} [options.once] Check a single time and return.
+ * @param {boolean} [options.includeExisting] On the very first check, download the songs purchased before
+ *     too. Otherwise they are only recorded as seen.
+ * @param {{webhook?: string, command?: string}} [options.hooks] Where to send the notifications.
+ * @returns {Promise<object[]>} The songs finished by the last check, with --once.
+ */
+async function runWatch(client, {
+    downloadSongs,
+    statePath = DEFAULT_WATCH_STATE_PATH,
+    intervalMinutes = DEFAULT_WATCH_INTERVAL_MINUTES,
+    once = false,
+    includeExisting = false,
+    hooks = {},
+}) {
+    if (hooks.webhook) validateWebhook(hooks.webhook);
+    const state = loadWatchState(statePath) || { createdAt: new Date().toISOString(), songs: {} };
+
+    while (true) {
+        let finished = [];
+        try {
+            log.info(`\n🔎 Checking for new songs (${new Date().toLocaleString()})...`);
+            const purchasedSongs = await client.fetchPurchasedSongs();
+
+            // The first check that gets through decides which songs were there before; `initializedAt` records
+            // that it happened, so a later purchase is never mistaken for an old one.
+            if (!state.initializedAt) {
+                const now = new Date().toISOString();
+                if (!includeExisting) {
+                    const existing = purchasedSongs.filter(song => !state.songs[song.url]);
+                    existing.forEach(song => { state.songs[song.url] = { name: song.name, status: 'existing', firstSeen: now }; });
+                    log.info(`Found ${existing.length} songs purchased before the watch started; only new purchases will be downloaded (use "sync" for the others).`);
+                }
+                state.initializedAt = now;
+                saveWatchState(state, statePath);
+            }
+
+            const songs = songsToDownload(state, purchasedSongs);
+            state.lastCheck = new Date().toISOString();
+            if (songs.length === 0) {
+                log.info('No new songs.');
+            } else {
+                log.info(`🆕 ${songs.length} song(s) to download: ${songs.map(song => song.name).join(', ')}`);
+                for (const song of songs) {
+                    state.songs[song.url] = { firstSeen: state.lastCheck, ...state.songs[song.url], name: song.name, status: 'pending' };
+                }
+                saveWatchState(state, statePath);
+                const queue = await downloadSongs(songs);
+                finished = await recordQueueResults(state, queue, statePath, hooks);
+            }
+            saveWatchState(state, statePath);
+        } catch (error) {
+            if (error instanceof LoginError || (error instanceof DownloaderError && error.exitCode === EXIT_CODES.USAGE)) throw error;
+            log.error(`\n❌ Checking for new songs failed: ${error.message}`);
+            log.debug(error.stack);
+            await notify(errorNotification(error), hooks);
+            if (once) throw error;
+        }
+
+        if (once) return finished;
+        const next = new Date(Date.now() + intervalMinutes * 60000);
+        log.info(`⏰ Next check at ${next.toLocaleTimeString()}. Press Ctrl+C to stop.`);
+        await pause(intervalMinutes * 60000);
+    }
+}
+
+module.exports = {
+    DEFAULT_WATCH_STATE_PATH,
+    DEFAULT_WATCH_INTERVAL_MINUTES,
+    MAX_WATCH_ATTEMPTS,
+    loadWatchState,
+    saveWatchState,
+    songsToDownload,
+    songNotification,
+    notify,
+    validateWebhook,
+    runWatch,
+};
@@ -0,0 +1,96 @@
+// test/doctor.test.js
+// Runs `doctor --fixtures` against the saved pages of test/fixtures/site. The pages are served by the doctor's
+// own fixture server and rendered by jsdom, which stands in for the browser.
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { DEFAULT_SELECTORS } = require('../lib/selectors');
+const { PAGE_CHECKS, serveFixtures, runDoctor } = require('../lib/doctor');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'site');
+
+// The part of a puppeteer page the doctor uses. Like puppeteer, evaluate() runs the source of its function
+// inside the page, with the arguments as JSON.
+function jsdomPage() {
+    let dom = new JSDOM('', { runScripts: 'outside-only' });
+    return {
+        goto: async url => {
+            const response = await fetch(url);
+            dom = new JSDOM(await response.text(), { url, runScripts: 'outside-only' });
+        },
+        url: () => dom.window.location.href,
+        evaluate: async (fn, ...args) => dom.window.eval(`(${fn})(...${JSON.stringify(args)})`),
+        waitForSelector: async selector => {
+            if (!dom.window.document.querySelector(selector)) throw new Error(`Nothing matches ${selector}`);
+        },
+    };
+}
+
+// The selectors with some of them replaced, like the overrides of config.json.
+function selectorsWith(group, overrides) {
+    return { ...DEFAULT_SELECTORS, [group]: { ...DEFAULT_SELECTORS[group], ...overrides } };
+}
+
+const checkOf = (report, pageName, name) => report.pages.find(page => page.page === pageName).checks.find(check => check.name === name);
+
+test('the saved pages match every required selector', async () => {
+    const report = await runDoctor(jsdomPage(), { fixturesDir: FIXTURES_DIR, map: DEFAULT_SELECTORS });
+
+    assert.deepStrictEqual(report.pages.map(page => [page.page, page.status]), [['login', 'checked'], ['downloads', 'checked'], ['song', 'checked']]);
+    for (const page of report.pages) {
+        for (const check of page.checks.filter(candidate => !candidate.optional)) {
+            assert.strictEqual(check.status, 'ok', `${check.name} should match on ${page.page}.html`);
+        }
+    }
+    assert.strictEqual(checkOf(report, 'song', 'song.track').count, 3);
+    assert.strictEqual(checkOf(report, 'downloads', 'downloads.songLink').count, 2);
+    assert.strictEqual(report.ok, true);
+});
+
+test('the key and tempo controls are optional', async () => {
+    const report = await runDoctor(jsdomPage(), { fixturesDir: FIXTURES_DIR, map: DEFAULT_SELECTORS });
+
+    for (const name of ['song.keyDown', 'song.keyUp', 'song.keyValue', 'song.tempoDown', 'song.tempoUp', 'song.tempoValue']) {
+        assert.strictEqual(checkOf(report, 'song', name).status, 'not-shown');
+    }
+    assert.strictEqual(report.ok, true);
+});
+
+test('a selector that no longer matches fails the check', async () => {
+    const map = selectorsWith('song', { downloadButton: 'a.btn--download' });
+    const report = await runDoctor(jsdomPage(), { fixturesDir: FIXTURES_DIR, map });
+
+    const check = checkOf(report, 'song', 'song.downloadButton');
+    assert.strictEqual(check.status, 'missing');
+    assert.strictEqual(check.overridden, true);
+    assert.strictEqual(report.ok, false);
+});
+
+test('a selector that is not valid CSS is reported as invalid', async () => {
+    const map = selectorsWith('downloads', { songCell: 'td[' });
+    const report = await runDoctor(jsdomPage(), { fixturesDir: FIXTURES_DIR, map });
+
+    assert.strictEqual(checkOf(report, 'downloads', 'downloads.songCell').status, 'invalid');
+    assert.strictEqual(report.ok, false);
+});
+
+test('every page has a required selector to wait for', () => {
+    for (const [pageName, checks] of Object.entries(PAGE_CHECKS)) {
+        assert.ok(checks.some(check => !check.optional), `${pageName} has no required selector`);
+    }
+});
+
+test('the fixture server only serves the files of its folder', async () => {
+    const server = await serveFixtures(FIXTURES_DIR);
+    try {
+        assert.strictEqual((await fetch(`${server.url}/song.html`)).status, 200);
+        assert.strictEqual((await fetch(`${server.url}/missing.html`)).status, 404);
+        assert.strictEqual((await fetch(`${server.url}/%2e%2e/doctor.test.js`)).status, 404);
+        assert.strictEqual((await fetch(`${server.url}/%E0%A4%A`)).status, 400);
+        // Still up after the malformed request.
+        assert.strictEqual((await fetch(`${server.url}/login.html`)).status, 200);
+    } finally {
+        await server.close();
+    }
+});